@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+import { readFile } from "node:fs/promises";
+import { ToonParser, ToonParseError, ToonEncoder } from "../toon-parser.mjs";
+
+const USAGE = `Usage: toon <command> [options] [files...]
+
+Commands:
+  validate <files...>   Report diagnostics; exits with 1 if any file has errors
+  to-json [file]        Convert TOON to JSON
+  from-json [file]      Convert JSON to TOON
+  stats [files...]      Print section, array, field and row counts
+
+Options:
+  --lenient             Report policy violations as warnings
+  --indent <n|auto>     Indentation size (default 2)
+  --compact             Print JSON on a single line
+  -h, --help            Show this help
+
+Files default to stdin when omitted or given as "-".`;
+
+class ToonCli {
+  constructor(argv) {
+    const { command, files, options } = this.parseArgs(argv);
+    this.command = command;
+    this.files = files.length > 0 ? files : ["-"];
+    this.options = options;
+    this.parser = new ToonParser(options.parser);
+    this.encoder = new ToonEncoder(options.encoder);
+  }
+
+  parseArgs(argv) {
+    const files = [];
+    const options = {
+      parser: {},
+      encoder: {},
+      compact: false,
+      help: false,
+    };
+    let command = null;
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === "-h" || arg === "--help") {
+        options.help = true;
+      } else if (arg === "--lenient") {
+        options.parser.mode = "lenient";
+      } else if (arg === "--compact") {
+        options.compact = true;
+      } else if (arg === "--indent") {
+        const value = argv[++i];
+        options.parser.indentSize = value === "auto" ? "auto" : Number(value);
+        if (value !== "auto") options.encoder.indentSize = Number(value);
+      } else if (arg.startsWith("-") && arg !== "-") {
+        throw new Error(`Unknown option '${arg}'`);
+      } else if (command === null) {
+        command = arg;
+      } else {
+        files.push(arg);
+      }
+    }
+
+    return { command, files, options };
+  }
+
+  async run() {
+    if (this.options.help || this.command === null) {
+      console.log(USAGE);
+      return this.options.help ? 0 : 2;
+    }
+
+    switch (this.command) {
+      case "validate":
+        return this.validate();
+      case "to-json":
+        return this.toJson();
+      case "from-json":
+        return this.fromJson();
+      case "stats":
+        return this.stats();
+      default:
+        console.error(`Unknown command '${this.command}'\n\n${USAGE}`);
+        return 2;
+    }
+  }
+
+  async validate() {
+    let failed = false;
+
+    for (const file of this.files) {
+      const diagnostics = this.diagnose(await this.read(file));
+
+      diagnostics.forEach((diagnostic) =>
+        console.log(this.formatDiagnostic(file, diagnostic)),
+      );
+      if (diagnostics.some((diagnostic) => diagnostic.severity === "error")) {
+        failed = true;
+      }
+    }
+
+    return failed ? 1 : 0;
+  }
+
+  async toJson() {
+    if (this.files.length > 1) {
+      console.error("to-json accepts a single file");
+      return 2;
+    }
+
+    const [file] = this.files;
+    const result = this.parse(file, await this.read(file));
+    if (!result) return 1;
+
+    console.log(this.stringify(result.data));
+    return 0;
+  }
+
+  async fromJson() {
+    if (this.files.length > 1) {
+      console.error("from-json accepts a single file");
+      return 2;
+    }
+
+    const [file] = this.files;
+    let value;
+    try {
+      value = JSON.parse(await this.read(file));
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      console.error(`${this.displayName(file)}: error: ${error.message}`);
+      return 1;
+    }
+
+    console.log(this.encoder.encode(value));
+    return 0;
+  }
+
+  async stats() {
+    const results = {};
+
+    for (const file of this.files) {
+      const result = this.parse(file, await this.read(file));
+      if (!result) return 1;
+      results[this.displayName(file)] = result.stats;
+    }
+
+    const [first] = Object.values(results);
+    console.log(this.stringify(this.files.length === 1 ? first : results));
+    return 0;
+  }
+
+  diagnose(input) {
+    try {
+      return this.parser.parse(input, { recover: true }).diagnostics;
+    } catch (error) {
+      if (error instanceof ToonParseError) return [error.toDiagnostic()];
+      throw error;
+    }
+  }
+
+  parse(file, input) {
+    try {
+      const result = this.parser.parse(input);
+      result.diagnostics.forEach((diagnostic) =>
+        console.error(this.formatDiagnostic(file, diagnostic)),
+      );
+      return result;
+    } catch (error) {
+      if (!(error instanceof ToonParseError)) throw error;
+      console.error(this.formatDiagnostic(file, error.toDiagnostic()));
+      return null;
+    }
+  }
+
+  async read(file) {
+    if (file !== "-") return readFile(file, "utf8");
+
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString("utf8");
+  }
+
+  displayName(file) {
+    return file === "-" ? "<stdin>" : file;
+  }
+
+  formatDiagnostic(file, { severity, code, message, line, column }) {
+    const location = [this.displayName(file), line, line && column]
+      .filter(Boolean)
+      .join(":");
+    return `${location}: ${severity}: ${message}${code ? ` [${code}]` : ""}`;
+  }
+
+  stringify(value) {
+    return this.options.compact
+      ? JSON.stringify(value)
+      : JSON.stringify(value, null, 2);
+  }
+}
+
+try {
+  process.exitCode = await new ToonCli(process.argv.slice(2)).run();
+} catch (error) {
+  console.error(`toon: ${error.message}`);
+  process.exitCode = 2;
+}
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+import { basename, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { ToonParser, ToonParseError, ToonEncoder } from "../toon-parser.mjs";
+
+const FIXTURES = fileURLToPath(new URL("./fixtures", import.meta.url));
+
+function loadFixtures(group) {
+  const dir = join(FIXTURES, group);
+
+  return readdirSync(dir)
+    .filter((file) => file.endsWith(".toon"))
+    .sort()
+    .map((file) => {
+      const name = basename(file, ".toon");
+      return {
+        name,
+        input: readFileSync(join(dir, file), "utf8"),
+        expected: JSON.parse(readFileSync(join(dir, `${name}.json`), "utf8")),
+      };
+    });
+}
+
+for (const { name, input, expected } of loadFixtures("valid")) {
+  test(`valid/${name} decodes to the expected JSON`, () => {
+    const { data, diagnostics } = new ToonParser().parse(input);
+
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(data, expected);
+  });
+
+  test(`valid/${name} round-trips through ToonEncoder`, () => {
+    const toon = new ToonEncoder().encode(expected);
+
+    assert.deepEqual(new ToonParser().parse(toon).data, expected);
+  });
+}
+
+for (const { name, input, expected } of loadFixtures("invalid")) {
+  test(`invalid/${name} reports the expected diagnostics`, () => {
+    const { diagnostics } = new ToonParser().parse(input, { recover: true });
+
+    assert.deepEqual(
+      diagnostics.map(({ code, line }) => ({ code, line })),
+      expected.diagnostics,
+    );
+  });
+
+  test(`invalid/${name} throws in strict mode`, () => {
+    assert.throws(
+      () => new ToonParser().parse(input),
+      (error) =>
+        error instanceof ToonParseError &&
+        expected.diagnostics.some(
+          ({ code, line }) => error.code === code && error.lineNumber === line,
+        ),
+    );
+  });
+
+  test(`invalid/${name} only warns in lenient mode`, () => {
+    const { diagnostics } = new ToonParser({ mode: "lenient" }).parse(input, {
+      recover: true,
+    });
+
+    assert.ok(diagnostics.every(({ severity }) => severity === "warning"));
+  });
+}
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { runInNewContext } from "node:vm";
+
+const read = (file) =>
+  readFileSync(new URL(`../${file}`, import.meta.url), "utf8");
+
+const { ToonQuery } = runInNewContext(
+  `${read("toon-parser.js")}\n;${read("toon-visualizer.js")}\n;({ ToonQuery })`,
+  { document: { addEventListener() {} } },
+);
+
+const DATA = {
+  users: [
+    { name: "Tom and Jerry", age: 80 },
+    { name: "Tom", age: 3 },
+    { name: "Jerry", age: 4 },
+    { name: "x || y", age: 1 },
+    { name: "it's", age: 2 },
+  ],
+};
+
+function names(expression) {
+  return Array.from(
+    new ToonQuery(expression).evaluate(DATA),
+    ({ value }) => value,
+  );
+}
+
+test("filters compare with quoted literals that contain operators", () => {
+  assert.deepEqual(names('users[?name == "Tom and Jerry"].name'), [
+    "Tom and Jerry",
+  ]);
+  assert.deepEqual(names("users[?name == 'Tom and Jerry'].name"), [
+    "Tom and Jerry",
+  ]);
+  assert.deepEqual(names('users[?name == "x || y" or age > 3].name'), [
+    "Tom and Jerry",
+    "Jerry",
+    "x || y",
+  ]);
+  assert.deepEqual(names('users[?name != "Tom && Jerry" && age < 3].name'), [
+    "x || y",
+    "it's",
+  ]);
+});
+
+test("filters still split on and / or outside literals", () => {
+  assert.deepEqual(names("users[?name == Tom or name == Jerry].name"), [
+    "Tom",
+    "Jerry",
+  ]);
+  assert.deepEqual(names("users[?age > 1 and age < 4].name"), ["Tom", "it's"]);
+  assert.deepEqual(names("users[?name == it's or age == 1].name"), [
+    "x || y",
+    "it's",
+  ]);
+});
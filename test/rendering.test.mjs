@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { JSDOM } from "jsdom";
+
+const read = (file) =>
+  readFileSync(new URL(`../${file}`, import.meta.url), "utf8");
+
+async function createPage(script = "") {
+  const dom = new JSDOM(read("index.html"), {
+    runScripts: "outside-only",
+    url: "http://localhost/",
+    pretendToBeVisual: true,
+    beforeParse(window) {
+      window.structuredClone = structuredClone;
+      window.CSS = { escape: (value) => value.replace(/["\\]/g, "\\$&") };
+      window.HTMLElement.prototype.scrollIntoView = () => {};
+    },
+  });
+  const { window } = dom;
+
+  window.eval(
+    `${read("toon-parser.js")}\n;${read("toon-visualizer.js")}\n;${script}`,
+  );
+  await settle();
+  return window;
+}
+
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+async function visualize(window, input) {
+  const { document } = window;
+  document.getElementById("toonInput").value = input;
+  document.getElementById("toonInput").dispatchEvent(new window.Event("input"));
+  document.getElementById("visualizeBtn").click();
+  await settle();
+}
+
+async function scrollTo(window, viewport, top) {
+  viewport.scrollTop = top;
+  viewport.dispatchEvent(new window.Event("scroll"));
+  await settle();
+}
+
+function createObjectList(count) {
+  const items = Array.from({ length: count }, (_, index) =>
+    index % 2 === 0
+      ? `  - id: ${index}\n    name: item ${index}`
+      : `  - id: ${index}\n    tags[2]: a,b`,
+  );
+  return `items[${count}]:\n${items.join("\n")}`;
+}
+
+function openSection(document, path) {
+  document
+    .querySelector(`[data-path="${path}"] > .section-header`)
+    .dispatchEvent(new document.defaultView.MouseEvent("click"));
+}
+
+test("long lists of objects only keep a window of items", async () => {
+  const window = await createPage();
+  const { document } = window;
+  await visualize(window, createObjectList(5000));
+  openSection(document, "/items");
+
+  const list = document.querySelector('[data-path="/items"] .array-container');
+  assert.ok(list.classList.contains("windowed"));
+
+  const items = () =>
+    list.querySelectorAll(':scope > div > [data-path^="/items/"]');
+  assert.ok(items().length > 0);
+  assert.ok(items().length < 100, `${items().length} items in the DOM`);
+
+  await scrollTo(window, list, 37 * 2500);
+  const paths = [...items()].map((item) => item.dataset.path);
+  assert.ok(paths.includes("/items/2500"));
+  assert.ok(!paths.includes("/items/0"));
+  assert.ok(paths.length < 100, `${paths.length} items in the DOM`);
+});
+
+test("expanded list items stay expanded after scrolling away", async () => {
+  const window = await createPage();
+  const { document } = window;
+  await visualize(window, createObjectList(1000));
+  openSection(document, "/items");
+  openSection(document, "/items/3");
+
+  const list = document.querySelector('[data-path="/items"] .array-container');
+  await scrollTo(window, list, 37 * 800);
+  assert.equal(document.querySelector('[data-path="/items/3"]'), null);
+
+  await scrollTo(window, list, 0);
+  const content = document.querySelector(
+    '[data-path="/items/3"] > .section-content',
+  );
+  assert.ok(content.classList.contains("show"));
+  assert.ok(content.textContent.includes("tags"));
+  assert.ok(
+    !document
+      .querySelector('[data-path="/items/5"] > .section-content')
+      .classList.contains("show"),
+  );
+});
+
+test("patching drops windowed views of replaced and removed sections", async () => {
+  const window = await createPage(`
+    const renderer = new ToonRenderer();
+    const container = document.getElementById("toonContainer");
+    const list = (length) => Array.from({ length }, (_, index) => index);
+    const show = (data) => {
+      renderer.patch(data, container, new ToonParser().computeStats(data));
+      renderer.toggleAllSections(true);
+      return [...renderer.windowedViews.keys()];
+    };
+
+    window.views = JSON.stringify([
+      show({ a: list(300), b: list(300), c: { d: list(300) } }),
+      show({ a: list(301), c: { e: 1 } }),
+    ]);
+  `);
+
+  assert.deepEqual(JSON.parse(window.views), [["/a", "/b", "/c/d"], ["/a"]]);
+});
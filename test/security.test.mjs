@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { JSDOM } from "jsdom";
+
+const read = (file) =>
+  readFileSync(new URL(`../${file}`, import.meta.url), "utf8");
+
+const PAYLOAD = "<img src=x onerror=alert(1)>";
+const HOSTILE = [
+  `"${PAYLOAD}": "${PAYLOAD}"`,
+  `"<script>alert(2)</script>":`,
+  `  "${PAYLOAD}": 1`,
+  `rows[2]{"${PAYLOAD}",b}:`,
+  `  "${PAYLOAD}",1`,
+  `  "</td><img src=y onerror=alert(3)>",2`,
+  `list[2]: "${PAYLOAD}","<svg onload=alert(4)>"`,
+  `items[1]:`,
+  `  - "<iframe src=javascript:alert(5)>": x`,
+].join("\n");
+const CONTAINERS = [
+  "#toonContainer",
+  "#errorContainer",
+  "#schemaContainer",
+  ".editor-highlight",
+];
+
+async function createPage() {
+  const dom = new JSDOM(read("index.html"), {
+    runScripts: "outside-only",
+    url: "http://localhost/",
+    pretendToBeVisual: true,
+    beforeParse(window) {
+      window.structuredClone = structuredClone;
+      window.CSS = { escape: (value) => value.replace(/["\\]/g, "\\$&") };
+      window.HTMLElement.prototype.scrollIntoView = () => {};
+      window.alert = () => {
+        window.executed = true;
+      };
+    },
+  });
+  const { window } = dom;
+
+  window.eval(`${read("toon-parser.js")}\n;${read("toon-visualizer.js")}`);
+  await settle();
+  return window;
+}
+
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+async function visualize(window, input) {
+  const { document } = window;
+  document.getElementById("toonInput").value = input;
+  document.getElementById("toonInput").dispatchEvent(new window.Event("input"));
+  document.getElementById("visualizeBtn").click();
+  await settle();
+  document
+    .querySelectorAll(".section-content:not(.show)")
+    .forEach((content) => content.previousElementSibling?.click());
+  await settle();
+}
+
+function assertInert(window, label) {
+  const { document } = window;
+
+  for (const selector of CONTAINERS) {
+    const container = document.querySelector(selector);
+    assert.ok(container, `${label}: ${selector} is missing`);
+
+    const elements = container.querySelectorAll(
+      "img, script, iframe, svg, object, embed",
+    );
+    assert.equal(
+      elements.length,
+      0,
+      `${label}: element injected into ${selector}`,
+    );
+
+    const handlers = [...container.querySelectorAll("*")].flatMap((element) =>
+      element.getAttributeNames().filter((name) => name.startsWith("on")),
+    );
+    assert.deepEqual(
+      handlers,
+      [],
+      `${label}: handler attribute in ${selector}`,
+    );
+  }
+  assert.equal(window.executed, undefined, `${label}: payload executed`);
+}
+
+test("hostile keys and values render as text", async () => {
+  const window = await createPage();
+  await visualize(window, HOSTILE);
+
+  const { document } = window;
+  const names = [...document.querySelectorAll(".section-name")].map(
+    (element) => element.textContent,
+  );
+  assert.ok(names.includes("<script>alert(2)</script>"));
+  assert.ok(
+    document.getElementById("toonContainer").textContent.includes(PAYLOAD),
+  );
+  assertInert(window, "render");
+});
+
+test("hostile input in error messages renders as text", async () => {
+  const window = await createPage();
+  const keyCase = window.document.querySelector('[data-option="keyCase"]');
+  keyCase.value = "snake";
+  keyCase.dispatchEvent(new window.Event("change", { bubbles: true }));
+
+  await visualize(
+    window,
+    `"${PAYLOAD}": 1\nbad line ${PAYLOAD}\nrows[5]{a}:\n  1\n"${PAYLOAD}\\q": 2`,
+  );
+
+  const errors = window.document.getElementById("errorContainer");
+  assert.ok(errors.querySelectorAll(".diagnostic").length > 0);
+  assert.ok(errors.textContent.includes(PAYLOAD));
+  assertInert(window, "errors");
+});
+
+test("search, query and schema violations keep payloads inert", async () => {
+  const window = await createPage();
+  const { document } = window;
+  await visualize(window, HOSTILE);
+
+  const search = document.getElementById("searchInput");
+  search.value = "img";
+  search.dispatchEvent(new window.Event("input"));
+  assertInert(window, "search");
+
+  const query = document.getElementById("queryInput");
+  query.value = `"${PAYLOAD}"`;
+  query.dispatchEvent(new window.Event("input"));
+  assertInert(window, "query");
+  query.value = "";
+  query.dispatchEvent(new window.Event("input"));
+
+  const schema = document.getElementById("schemaInput");
+  schema.value = JSON.stringify({
+    type: "object",
+    properties: { [PAYLOAD]: { type: "number" } },
+    required: [`${PAYLOAD}2`],
+  });
+  schema.dispatchEvent(new window.Event("change"));
+  await settle();
+  assert.ok(
+    document.getElementById("schemaContainer").textContent.includes(PAYLOAD),
+  );
+  assertInert(window, "schema");
+});
+
+test("compare mode keeps payloads inert", async () => {
+  const window = await createPage();
+  const { document } = window;
+  const diffMode = document.getElementById("diffMode");
+  diffMode.checked = true;
+  diffMode.dispatchEvent(new window.Event("change"));
+  document.getElementById("compareInput").value =
+    `"${PAYLOAD}": "<b>x</b>"\nrows[1]{"${PAYLOAD}",b}:\n  "${PAYLOAD}",9`;
+
+  await visualize(window, HOSTILE);
+  assertInert(window, "diff");
+});
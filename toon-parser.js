@@ -0,0 +1,1468 @@
+class ToonParser {
+  constructor(options = {}) {
+    this.defaultDelimiter = ",";
+    this.recover = false;
+    this.diagnostics = [];
+    this.sourceMap = new ToonSourceMap();
+    this.onProgress = null;
+    this.options = ToonParser.defaultOptions();
+    this.configure(options);
+  }
+
+  static defaultOptions() {
+    return {
+      mode: "strict",
+      keyCase: "any",
+      keyPattern: null,
+      indentSize: 2,
+      tabs: "error",
+      tabWidth: 2,
+      lengthCheck: "enforce",
+      expandPaths: "safe",
+    };
+  }
+
+  configure(options = {}) {
+    const next = { ...this.options, ...options };
+
+    if (!["strict", "lenient"].includes(next.mode)) {
+      throw this.optionError(`Unknown mode '${next.mode}'`);
+    }
+    if (!["any", "snake", "pattern"].includes(next.keyCase)) {
+      throw this.optionError(`Unknown key casing policy '${next.keyCase}'`);
+    }
+    if (
+      next.indentSize !== "auto" &&
+      (!Number.isInteger(next.indentSize) || next.indentSize < 1)
+    ) {
+      throw this.optionError(
+        "Indent size must be a positive integer or 'auto'",
+      );
+    }
+    if (!["error", "expand"].includes(next.tabs)) {
+      throw this.optionError(`Unknown tab handling '${next.tabs}'`);
+    }
+    if (!Number.isInteger(next.tabWidth) || next.tabWidth < 1) {
+      throw this.optionError("Tab width must be a positive integer");
+    }
+    if (!["enforce", "warn"].includes(next.lengthCheck)) {
+      throw this.optionError(`Unknown length check '${next.lengthCheck}'`);
+    }
+    if (!["off", "safe"].includes(next.expandPaths)) {
+      throw this.optionError(`Unknown path expansion '${next.expandPaths}'`);
+    }
+
+    let keyRegex = null;
+    if (next.keyCase === "pattern") {
+      try {
+        keyRegex = new RegExp(`^(?:${next.keyPattern ?? ""})$`);
+      } catch (error) {
+        throw this.optionError(`Invalid key pattern: ${error.message}`);
+      }
+    }
+
+    this.options = next;
+    this.keyRegex = keyRegex;
+    this.indentSize = next.indentSize === "auto" ? 2 : next.indentSize;
+    return this;
+  }
+
+  optionError(message) {
+    return new ToonParseError(message, null, { code: "invalid-option" });
+  }
+
+  parse(input, { recover = false, onProgress = null } = {}) {
+    this.recover = recover;
+    this.diagnostics = [];
+    this.sourceMap = new ToonSourceMap();
+    this.onProgress = onProgress;
+
+    this.validateInput(input);
+    const lines = this.parseLines(input);
+    this.totalLines = lines.length;
+    this.progressStep = Math.max(1000, Math.ceil(lines.length / 100));
+    this.nextProgress = 0;
+
+    const data = this.decode(lines);
+    const stats = this.computeStats(data);
+    this.onProgress?.(lines.length, lines.length);
+
+    this.diagnostics.sort(
+      (a, b) =>
+        (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0),
+    );
+
+    return {
+      data: this.normalizeValue(data),
+      stats,
+      diagnostics: this.diagnostics,
+      sourceMap: this.sourceMap,
+      indentSize: this.indentSize,
+    };
+  }
+
+  reportProgress(lineNum) {
+    if (!this.onProgress || lineNum < this.nextProgress) return;
+
+    this.nextProgress = lineNum + this.progressStep;
+    this.onProgress(lineNum, this.totalLines);
+  }
+
+  validateInput(input) {
+    if (typeof input !== "string") {
+      throw new ToonParseError("Input must be a string", null, {
+        code: "invalid-input",
+      });
+    }
+    if (!input.trim()) {
+      throw new ToonParseError("Input cannot be empty", null, {
+        code: "empty-input",
+      });
+    }
+  }
+
+  parseLines(input) {
+    const lines = input.split("\n").map((raw, index) => {
+      const trimmed = raw.trim();
+      const originalIndent = raw.substring(
+        0,
+        raw.length - raw.trimStart().length,
+      );
+
+      return {
+        raw,
+        depth: 0,
+        width: this.measureIndent(originalIndent, index + 1, trimmed === ""),
+        content: trimmed,
+        lineNum: index + 1,
+        isBlank: trimmed === "",
+        originalIndent,
+      };
+    });
+
+    this.indentSize = this.resolveIndentSize(lines);
+
+    lines.forEach((line) => {
+      if (line.isBlank) return;
+
+      line.depth = Math.floor(line.width / this.indentSize);
+      if (line.width % this.indentSize !== 0) {
+        this.report(
+          "invalid-indentation",
+          `Indentation of ${line.width} spaces is not a multiple of ${this.indentSize}`,
+          { line: line.lineNum, column: 1, endColumn: line.width + 1 },
+          this.policySeverity(),
+        );
+      }
+    });
+
+    return lines;
+  }
+
+  measureIndent(indent, lineNum, isBlank) {
+    const tabIndex = indent.indexOf("\t");
+
+    if (tabIndex !== -1 && !isBlank && this.options.tabs === "error") {
+      this.report(
+        "tab-indentation",
+        "Indentation must use spaces, not tabs",
+        { line: lineNum, column: tabIndex + 1, endColumn: tabIndex + 2 },
+        this.policySeverity(),
+      );
+    }
+
+    return indent.replace(/\t/g, " ".repeat(this.options.tabWidth)).length;
+  }
+
+  resolveIndentSize(lines) {
+    if (this.options.indentSize !== "auto") return this.options.indentSize;
+
+    const firstIndented = lines.find((line) => !line.isBlank && line.width > 0);
+    return firstIndented ? firstIndented.width : 2;
+  }
+
+  policySeverity(enforced = true) {
+    return enforced && this.options.mode === "strict" ? "error" : "warning";
+  }
+
+  report(code, message, location = {}, severity = "error") {
+    const diagnostic = {
+      severity,
+      code,
+      message,
+      line: location.line ?? null,
+      column: location.column ?? null,
+      endColumn: location.endColumn ?? null,
+    };
+
+    if (severity === "error" && !this.recover) {
+      throw new ToonParseError(message, diagnostic.line, diagnostic);
+    }
+    this.diagnostics.push(diagnostic);
+  }
+
+  locate(line, offset = 0, length = line.content.length - offset) {
+    const column = line.originalIndent.length + offset + 1;
+    return {
+      line: line.lineNum,
+      column,
+      endColumn: column + Math.max(length, 1),
+    };
+  }
+
+  locateToken(line, token) {
+    const offset = line.content.indexOf(token);
+    return offset === -1
+      ? this.locate(line)
+      : this.locate(line, offset, token.length);
+  }
+
+  lastLineNum(lines, startIdx, endIdx) {
+    for (let i = endIdx - 1; i >= startIdx; i--) {
+      if (!lines[i].isBlank) return lines[i].lineNum;
+    }
+    return lines[startIdx]?.lineNum ?? null;
+  }
+
+  skipBlock(lines, startIdx) {
+    const { depth } = lines[startIdx];
+    let i = startIdx + 1;
+
+    while (i < lines.length && (lines[i].isBlank || lines[i].depth > depth)) {
+      i++;
+    }
+    return i;
+  }
+
+  decode(lines) {
+    const nonBlankLines = lines.filter((line) => !line.isBlank);
+
+    if (nonBlankLines.length === 0) return {};
+
+    const firstLine = nonBlankLines[0];
+    const headerInfo = firstLine.content.startsWith("[")
+      ? this.parseHeader(firstLine.content, firstLine)
+      : null;
+
+    if (headerInfo && headerInfo.key === null) {
+      return this.decodeArray(lines, lines.indexOf(firstLine), headerInfo, "")
+        .value;
+    }
+
+    if (nonBlankLines.length === 1) {
+      try {
+        this.splitKeyValue(firstLine.content);
+      } catch {
+        this.sourceMap.set("", firstLine.lineNum);
+        return this.parsePrimitive(firstLine.content, firstLine);
+      }
+    }
+
+    this.sourceMap.set(
+      "",
+      nonBlankLines[0].lineNum,
+      nonBlankLines[nonBlankLines.length - 1].lineNum,
+    );
+    return this.decodeObject(lines, 0, -1, "");
+  }
+
+  decodeObject(lines, startIdx, parentDepth, path = "") {
+    const result = {};
+    let i = startIdx;
+    const expectedDepth = parentDepth + 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      this.reportProgress(line.lineNum);
+
+      if (line.isBlank) {
+        i++;
+        continue;
+      }
+
+      if (line.depth < expectedDepth && expectedDepth > 0) break;
+      if (line.depth > expectedDepth) {
+        this.report(
+          "unexpected-indentation",
+          "Line is indented deeper than expected and was ignored",
+          this.locate(line),
+          "warning",
+        );
+        i++;
+        continue;
+      }
+
+      const headerInfo = this.parseHeader(line.content, line);
+      if (headerInfo?.key) {
+        const segments = this.expandKey(headerInfo.rawKey, headerInfo.key);
+        const arrayValue = this.decodeArray(
+          lines,
+          i,
+          headerInfo,
+          this.segmentsPath(path, segments),
+        );
+        this.assignPath(result, segments, arrayValue.value, line, path);
+        i = arrayValue.nextIndex;
+        continue;
+      }
+
+      if (this.findUnquotedChar(line.content, ":") === -1) {
+        this.report(
+          "missing-colon",
+          "Missing colon after key",
+          this.locate(line),
+          this.policySeverity(),
+        );
+        i = this.skipBlock(lines, i);
+        continue;
+      }
+
+      const { key, value } = this.splitKeyValue(line.content);
+      const parsedKey = this.parseKey(key, line);
+      const segments = this.expandKey(key, parsedKey);
+
+      segments.forEach((segment) =>
+        this.checkKeyCase(
+          segment,
+          "invalid-key-case",
+          "Key",
+          this.locate(line, 0, key.length),
+        ),
+      );
+
+      const childPath = this.segmentsPath(path, segments);
+
+      if (!value) {
+        const nestedContent = this.collectNestedLines(lines, i + 1, line.depth);
+        this.sourceMap.set(
+          childPath,
+          line.lineNum,
+          nestedContent.length > 0
+            ? this.lastLineNum(nestedContent, 0, nestedContent.length)
+            : line.lineNum,
+        );
+        this.assignPath(
+          result,
+          segments,
+          nestedContent.length > 0
+            ? this.decodeObject(nestedContent, 0, line.depth, childPath)
+            : {},
+          line,
+          path,
+        );
+        i += nestedContent.length + 1;
+      } else {
+        this.sourceMap.set(childPath, line.lineNum);
+        this.assignPath(
+          result,
+          segments,
+          this.parsePrimitive(value, line),
+          line,
+          path,
+        );
+        i++;
+      }
+    }
+
+    return result;
+  }
+
+  expandKey(rawKey, parsedKey) {
+    const segments = parsedKey.split(".");
+    const isFoldable =
+      this.options.expandPaths === "safe" &&
+      segments.length > 1 &&
+      !/^["']/.test(rawKey.trim()) &&
+      segments.every((segment) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(segment));
+
+    return isFoldable ? segments : [parsedKey];
+  }
+
+  segmentsPath(path, segments) {
+    return segments.reduce(
+      (current, segment) => ToonSourceMap.childPath(current, segment),
+      path,
+    );
+  }
+
+  assignPath(target, segments, value, line, path) {
+    const parents = segments.slice(0, -1);
+    const key = segments[segments.length - 1];
+    const range = this.sourceMap.get(this.segmentsPath(path, segments));
+    let current = target;
+    let currentPath = path;
+
+    parents.forEach((segment) => {
+      currentPath = ToonSourceMap.childPath(currentPath, segment);
+
+      const next = ToonParser.getOwn(current, segment);
+      if (!this.isPlainObject(next)) {
+        if (next !== undefined) {
+          this.reportPathConflict(currentPath, line);
+        }
+        ToonParser.setOwn(current, segment, {});
+      }
+
+      const previous = this.sourceMap.get(currentPath) ?? range;
+      if (previous && range) {
+        this.sourceMap.set(
+          currentPath,
+          Math.min(previous.startLine, range.startLine),
+          Math.max(previous.endLine, range.endLine),
+        );
+      }
+      current = current[segment];
+    });
+
+    const existing = ToonParser.getOwn(current, key);
+    if (this.isPlainObject(existing) && this.isPlainObject(value)) {
+      this.mergeObjects(existing, value);
+      return;
+    }
+    if (
+      existing !== undefined &&
+      this.options.expandPaths === "safe" &&
+      (parents.length > 0 ||
+        this.isPlainObject(existing) !== this.isPlainObject(value))
+    ) {
+      this.reportPathConflict(ToonSourceMap.childPath(currentPath, key), line);
+    }
+    ToonParser.setOwn(current, key, value);
+  }
+
+  reportPathConflict(path, line) {
+    this.report(
+      "path-conflict",
+      `Key path '${path}' conflicts with an existing value`,
+      this.locate(line, 0, this.findUnquotedChar(line.content, ":")),
+      this.policySeverity(),
+    );
+  }
+
+  mergeObjects(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+      const existing = ToonParser.getOwn(target, key);
+      if (this.isPlainObject(existing) && this.isPlainObject(value)) {
+        this.mergeObjects(existing, value);
+      } else {
+        ToonParser.setOwn(target, key, value);
+      }
+    });
+  }
+
+  isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  decodeArray(lines, startIdx, headerInfo, path = "") {
+    const headerLine = lines[startIdx];
+    const decoded = this.decodeArrayBody(lines, startIdx, headerInfo, path);
+
+    this.sourceMap.set(
+      path,
+      headerLine.lineNum,
+      this.lastLineNum(lines, startIdx, decoded.nextIndex),
+    );
+    return decoded;
+  }
+
+  decodeArrayBody(lines, startIdx, headerInfo, path) {
+    const { length, delimiter, fields } = headerInfo;
+    const headerLine = lines[startIdx];
+
+    const colonIndex = this.findUnquotedChar(headerLine.content, ":");
+    if (colonIndex !== -1) {
+      const afterColon = headerLine.content.substring(colonIndex + 1).trim();
+
+      if (afterColon) {
+        const values = this.parseDelimitedValues(afterColon, delimiter);
+
+        this.validateArrayLength(values.length, length, headerLine);
+        values.forEach((_, index) => {
+          this.sourceMap.set(
+            ToonSourceMap.childPath(path, index),
+            headerLine.lineNum,
+          );
+        });
+
+        return {
+          value: values.map((val) => this.parsePrimitive(val, headerLine)),
+          nextIndex: startIdx + 1,
+        };
+      }
+    }
+
+    if (fields) {
+      return this.decodeTabularArray(
+        lines,
+        startIdx + 1,
+        headerLine,
+        fields,
+        delimiter,
+        length,
+        path,
+      );
+    } else {
+      return this.decodeListArray(
+        lines,
+        startIdx + 1,
+        headerLine,
+        delimiter,
+        length,
+        path,
+      );
+    }
+  }
+
+  decodeTabularArray(
+    lines,
+    startIdx,
+    headerLine,
+    fields,
+    delimiter,
+    expectedLength,
+    path = "",
+  ) {
+    const result = [];
+    let i = startIdx;
+    const headerDepth = headerLine.depth;
+    const rowDepth = headerDepth + 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      this.reportProgress(line.lineNum);
+
+      if (line.isBlank) {
+        i++;
+        continue;
+      }
+
+      if (line.depth <= headerDepth) break;
+
+      if (line.depth === rowDepth) {
+        const values = this.parseDelimitedValues(line.content, delimiter);
+
+        if (values.length !== fields.length) {
+          this.report(
+            "row-width-mismatch",
+            `Row has ${values.length} values but header expects ${fields.length} fields: ${fields.join(", ")}`,
+            this.locate(line),
+            this.policySeverity(),
+          );
+        }
+
+        if (
+          values.length === fields.length ||
+          this.options.mode === "lenient"
+        ) {
+          this.sourceMap.set(
+            ToonSourceMap.childPath(path, result.length),
+            line.lineNum,
+          );
+          result.push(this.createTableRow(fields, values, line));
+        }
+        i++;
+      } else {
+        this.report(
+          "unexpected-indentation",
+          "Table row is indented deeper than expected and was ignored",
+          this.locate(line),
+          "warning",
+        );
+        i++;
+      }
+    }
+
+    this.validateArrayLength(result.length, expectedLength, headerLine);
+    return { value: result, nextIndex: i };
+  }
+
+  decodeListArray(
+    lines,
+    startIdx,
+    headerLine,
+    delimiter,
+    expectedLength,
+    path = "",
+  ) {
+    const result = [];
+    let i = startIdx;
+    const headerDepth = headerLine.depth;
+    const itemDepth = headerDepth + 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      this.reportProgress(line.lineNum);
+
+      if (line.isBlank) {
+        i++;
+        continue;
+      }
+
+      if (line.depth < itemDepth) break;
+      if (line.depth > itemDepth) {
+        this.report(
+          "unexpected-indentation",
+          "List item is indented deeper than expected and was ignored",
+          this.locate(line),
+          "warning",
+        );
+        i++;
+        continue;
+      }
+
+      const itemPath = ToonSourceMap.childPath(path, result.length);
+      const isMarked = line.content === "-" || line.content.startsWith("- ");
+
+      if (!isMarked) {
+        this.report(
+          "missing-list-marker",
+          "List item must start with '- '",
+          this.locate(line, 0, 1),
+          this.policySeverity(),
+        );
+      }
+
+      const content = isMarked
+        ? line.content.substring(1).trimStart()
+        : line.content;
+      const nestedLines = this.collectNestedLines(lines, i + 1, itemDepth);
+      const item = this.decodeListItem(
+        line,
+        content,
+        nestedLines,
+        itemPath,
+        line.content.length - content.length,
+      );
+      this.sourceMap.set(
+        itemPath,
+        line.lineNum,
+        this.lastLineNum([line, ...nestedLines], 0, nestedLines.length + 1),
+      );
+      result.push(item);
+      i += nestedLines.length + 1;
+    }
+
+    this.validateArrayLength(result.length, expectedLength, headerLine);
+    return { value: result, nextIndex: i };
+  }
+
+  decodeListItem(line, content, nestedLines, path, offset) {
+    const itemLine = {
+      ...line,
+      content,
+      originalIndent: line.originalIndent + " ".repeat(offset),
+    };
+    const header = content.startsWith("[")
+      ? this.parseHeader(content, itemLine)
+      : null;
+
+    if (header && header.key === null) {
+      const itemLines = [itemLine, ...nestedLines];
+      const decoded = this.decodeArray(itemLines, 0, header, path);
+      this.reportIgnoredLines(itemLines.slice(decoded.nextIndex));
+      return decoded.value;
+    }
+
+    if (header || this.findUnquotedChar(content, ":") !== -1) {
+      itemLine.depth = line.depth + 1;
+      return this.decodeObject([itemLine, ...nestedLines], 0, line.depth, path);
+    }
+
+    this.reportIgnoredLines(nestedLines);
+    return content ? this.parsePrimitive(content, itemLine) : {};
+  }
+
+  reportIgnoredLines(lines) {
+    lines.forEach((line) => {
+      if (line.isBlank) return;
+      this.report(
+        "unexpected-indentation",
+        "Line is indented deeper than expected and was ignored",
+        this.locate(line),
+        "warning",
+      );
+    });
+  }
+
+  parseDelimitedValues(content, delimiter = this.defaultDelimiter) {
+    if (!content.trim()) return [];
+
+    const values = [];
+    let current = "";
+    let inQuotes = false;
+    let quoteChar = null;
+    let escapeNext = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (escapeNext) {
+        current += char;
+        escapeNext = false;
+        continue;
+      }
+
+      if (char === "\\") {
+        if (inQuotes) current += char;
+        escapeNext = true;
+        continue;
+      }
+
+      if (inQuotes) {
+        if (char === quoteChar) {
+          inQuotes = false;
+        }
+        current += char;
+      } else {
+        if (
+          (char === '"' || char === "'") &&
+          (i === 0 || content[i - 1] !== "\\")
+        ) {
+          inQuotes = true;
+          quoteChar = char;
+          current += char;
+        } else if (char === delimiter) {
+          values.push(current.trim());
+          current = "";
+        } else {
+          current += char;
+        }
+      }
+    }
+
+    if (current.trim() !== "") {
+      values.push(current.trim());
+    }
+
+    return values;
+  }
+
+  parsePrimitive(token, line = null) {
+    if (token === null || token === undefined) return null;
+
+    const trimmed = String(token).trim();
+    if (trimmed === "") return null;
+
+    if (trimmed === "true") return true;
+    if (trimmed === "false") return false;
+    if (trimmed === "null" || trimmed === "nil") return null;
+
+    if (trimmed.startsWith('"') && this.findClosingQuote(trimmed) === -1) {
+      if (line) {
+        this.report(
+          "unterminated-string",
+          "Quoted string is missing its closing quote",
+          this.locateToken(line, trimmed),
+          this.policySeverity(),
+        );
+      }
+      return trimmed;
+    }
+
+    if (
+      trimmed.length > 1 &&
+      ((trimmed.startsWith('"') && trimmed.endsWith('"')) ||
+        (trimmed.startsWith("'") && trimmed.endsWith("'")))
+    ) {
+      return this.unescapeString(trimmed.slice(1, -1), line);
+    }
+
+    if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(trimmed)) {
+      const num = Number(trimmed);
+      return Object.is(num, -0) ? 0 : num;
+    }
+
+    return trimmed;
+  }
+
+  unescapeString(str, line = null) {
+    const escapes = {
+      n: "\n",
+      r: "\r",
+      t: "\t",
+      '"': '"',
+      "'": "'",
+      "\\": "\\",
+    };
+
+    return str.replace(/\\(u[0-9a-fA-F]{4}|[\s\S]?)/g, (match, sequence) => {
+      if (sequence.length === 5) {
+        return String.fromCharCode(parseInt(sequence.substring(1), 16));
+      }
+      if (Object.hasOwn(escapes, sequence)) return escapes[sequence];
+
+      if (line) {
+        this.report(
+          "invalid-escape",
+          `Invalid escape sequence '${match}'`,
+          this.locateToken(line, match),
+          this.policySeverity(),
+        );
+      }
+      return match;
+    });
+  }
+
+  findClosingQuote(str) {
+    for (let i = 1; i < str.length; i++) {
+      if (str[i] === "\\") {
+        i++;
+      } else if (str[i] === str[0]) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  findUnquotedChar(str, char, startIndex = 0) {
+    let inQuotes = false;
+    let quoteChar = null;
+    let escapeNext = false;
+
+    for (let i = startIndex; i < str.length; i++) {
+      const currentChar = str[i];
+
+      if (escapeNext) {
+        escapeNext = false;
+        continue;
+      }
+
+      if (currentChar === "\\") {
+        escapeNext = true;
+        continue;
+      }
+
+      if (inQuotes) {
+        if (currentChar === quoteChar) inQuotes = false;
+      } else {
+        if (currentChar === '"' || currentChar === "'") {
+          inQuotes = true;
+          quoteChar = currentChar;
+        } else if (currentChar === char) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  parseKey(keyStr, line = null) {
+    const trimmed = keyStr.trim();
+
+    if (
+      (trimmed.startsWith('"') && trimmed.endsWith('"')) ||
+      (trimmed.startsWith("'") && trimmed.endsWith("'"))
+    ) {
+      return this.unescapeString(trimmed.slice(1, -1), line);
+    }
+
+    return trimmed;
+  }
+
+  splitKeyValue(line) {
+    const colonIdx = this.findUnquotedChar(line, ":");
+    if (colonIdx === -1) {
+      throw new ToonParseError("Missing colon after key", null, {
+        code: "missing-colon",
+      });
+    }
+
+    return {
+      key: line.substring(0, colonIdx).trim(),
+      value: line.substring(colonIdx + 1).trim(),
+    };
+  }
+
+  collectNestedLines(lines, startIdx, parentDepth) {
+    const nestedLines = [];
+    let i = startIdx;
+
+    while (i < lines.length && lines[i].depth > parentDepth) {
+      nestedLines.push(lines[i]);
+      i++;
+    }
+
+    return nestedLines;
+  }
+
+  createTableRow(fields, values, line = null) {
+    const row = {};
+    fields.forEach((field, index) => {
+      ToonParser.setOwn(
+        row,
+        field,
+        values[index] !== undefined
+          ? this.parsePrimitive(values[index], line)
+          : null,
+      );
+    });
+    return row;
+  }
+
+  normalizeValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === "boolean" || typeof value === "number") return value;
+    if (typeof value === "string") return value;
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.normalizeValue(item));
+    }
+
+    if (typeof value === "object") {
+      const normalized = {};
+      for (const [k, v] of Object.entries(value)) {
+        ToonParser.setOwn(normalized, k, this.normalizeValue(v));
+      }
+      return normalized;
+    }
+
+    return String(value);
+  }
+
+  computeStats(data) {
+    let sections = 0;
+    let arrays = 0;
+    let fields = 0;
+    let rows = 0;
+    let depth = 0;
+    let primitives = 0;
+    let largestArray = null;
+
+    const traverse = (obj, path, level) => {
+      if (typeof obj !== "object" || obj === null) {
+        primitives++;
+        return;
+      }
+
+      depth = Math.max(depth, level);
+
+      if (Array.isArray(obj)) {
+        arrays++;
+        rows += obj.length;
+        if (!largestArray || obj.length > largestArray.length) {
+          largestArray = { path, length: obj.length };
+        }
+        obj.forEach((item, index) =>
+          traverse(item, ToonSourceMap.childPath(path, index), level + 1),
+        );
+      } else {
+        const keys = Object.keys(obj);
+        if (keys.length > 0) sections++;
+        fields += keys.length;
+        keys.forEach((key) =>
+          traverse(obj[key], ToonSourceMap.childPath(path, key), level + 1),
+        );
+      }
+    };
+
+    traverse(data, "", 1);
+    return {
+      root: ToonParser.rootType(data),
+      sections,
+      arrays,
+      fields,
+      rows,
+      depth,
+      primitives,
+      largestArray,
+    };
+  }
+
+  static getOwn(target, key) {
+    return Object.hasOwn(target, key) ? target[key] : undefined;
+  }
+
+  static setOwn(target, key, value) {
+    Object.defineProperty(target, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  static rootType(data) {
+    if (Array.isArray(data)) {
+      return ToonParser.isTabular(data) ? "table" : "list";
+    }
+    if (data === null) return "null";
+    return typeof data;
+  }
+
+  static isTabular(array) {
+    return (
+      array.length > 0 &&
+      array.every(
+        (item) =>
+          typeof item === "object" &&
+          item !== null &&
+          !Array.isArray(item) &&
+          Object.values(item).every(
+            (value) => typeof value !== "object" || value === null,
+          ),
+      )
+    );
+  }
+
+  static profileColumns(rows, { top = 5 } = {}) {
+    const columns = Array.from(
+      new Set(rows.flatMap((row) => Object.keys(row))),
+    );
+
+    return columns.map((column) => {
+      const types = {};
+      const counts = new Map();
+      let nulls = 0;
+      let numbers = 0;
+      let sum = 0;
+      let min = null;
+      let max = null;
+      let minLength = null;
+      let maxLength = null;
+
+      rows.forEach((row) => {
+        const value = row[column] ?? null;
+        const id = JSON.stringify(value);
+        const entry = counts.get(id);
+        if (entry) entry.count++;
+        else counts.set(id, { value, count: 1 });
+
+        if (value === null) {
+          nulls++;
+          return;
+        }
+
+        const type = Array.isArray(value) ? "array" : typeof value;
+        types[type] = (types[type] ?? 0) + 1;
+
+        if (type === "number") {
+          numbers++;
+          sum += value;
+          min = min === null ? value : Math.min(min, value);
+          max = max === null ? value : Math.max(max, value);
+        } else if (type === "string") {
+          minLength =
+            minLength === null
+              ? value.length
+              : Math.min(minLength, value.length);
+          maxLength =
+            maxLength === null
+              ? value.length
+              : Math.max(maxLength, value.length);
+        }
+      });
+
+      const typeNames = Object.keys(types);
+      return {
+        column,
+        type:
+          typeNames.length === 0
+            ? "null"
+            : typeNames.length === 1
+              ? typeNames[0]
+              : "mixed",
+        types,
+        mixed: typeNames.length > 1,
+        nulls,
+        nullPercent: rows.length === 0 ? 0 : (nulls / rows.length) * 100,
+        distinct: counts.size,
+        min,
+        max,
+        mean: numbers === 0 ? null : sum / numbers,
+        minLength,
+        maxLength,
+        top: Array.from(counts.values())
+          .sort((a, b) => b.count - a.count)
+          .slice(0, top),
+      };
+    });
+  }
+
+  isValidSnakeCase(key) {
+    return /^[a-z][a-z0-9_]*(_[a-z0-9]+)*$/.test(key);
+  }
+
+  checkKeyCase(key, code, label, location) {
+    const { keyCase, keyPattern } = this.options;
+    if (keyCase === "any") return;
+
+    const valid =
+      keyCase === "snake"
+        ? this.isValidSnakeCase(key)
+        : this.keyRegex.test(key);
+    if (valid) return;
+
+    const rule =
+      keyCase === "snake" ? "snake_case format" : `pattern /${keyPattern}/`;
+    this.report(
+      code,
+      `${label} '${key}' must use ${rule}`,
+      location,
+      this.policySeverity(),
+    );
+  }
+
+  validateArrayLength(actual, expected, headerLine) {
+    if (expected !== null && actual !== expected) {
+      const bracketStart = this.findUnquotedChar(headerLine.content, "[");
+      const bracketEnd = headerLine.content.indexOf("]", bracketStart);
+
+      this.report(
+        "array-length-mismatch",
+        `Array length mismatch: declared [${expected}] but found ${actual} items`,
+        this.locate(headerLine, bracketStart, bracketEnd - bracketStart + 1),
+        this.policySeverity(this.options.lengthCheck === "enforce"),
+      );
+    }
+  }
+
+  parseHeader(line, lineInfo = null) {
+    const bracketIdx = this.findUnquotedChar(line, "[");
+    const colonIdx = this.findUnquotedChar(line, ":");
+    if (bracketIdx === -1 || (colonIdx !== -1 && colonIdx < bracketIdx)) {
+      return null;
+    }
+
+    const bracketMatch = line
+      .substring(bracketIdx)
+      .match(/^\[([^\]]+)\](\{([^}]+)\})?/);
+    if (!bracketMatch) return null;
+
+    const keyPart = line.substring(0, bracketIdx).trim();
+    const bracketContent = bracketMatch[1];
+    const fieldsContent = bracketMatch[3];
+
+    const key = keyPart ? this.parseKey(keyPart, lineInfo) : null;
+    let { length, delimiter } = this.parseBracketContent(bracketContent);
+
+    if (length === null) return null;
+
+    if (delimiter === null) {
+      delimiter = ",";
+    }
+
+    let fields = null;
+    if (fieldsContent) {
+      const fieldTokens = this.parseDelimitedValues(fieldsContent, delimiter);
+
+      fieldTokens.forEach((field) => {
+        const offset = line.indexOf(field, line.indexOf("{", bracketIdx));
+        this.checkKeyCase(
+          this.parseKey(field),
+          "invalid-field-case",
+          "Field name",
+          lineInfo ? this.locate(lineInfo, offset, field.length) : {},
+        );
+      });
+
+      fields = fieldTokens.map((field) => this.parseKey(field, lineInfo));
+    }
+
+    return { key, rawKey: keyPart, length, delimiter, fields };
+  }
+
+  parseBracketContent(content) {
+    let lengthStr = content.replace(/^ +| +$/g, "");
+    let delimiter = null;
+
+    if (lengthStr.endsWith("|")) {
+      delimiter = "|";
+      lengthStr = lengthStr.slice(0, -1);
+    } else if (lengthStr.endsWith("\t")) {
+      delimiter = "\t";
+      lengthStr = lengthStr.slice(0, -1);
+    } else if (lengthStr.endsWith(",")) {
+      delimiter = ",";
+      lengthStr = lengthStr.slice(0, -1);
+    }
+
+    if (lengthStr.startsWith("#")) {
+      lengthStr = lengthStr.substring(1);
+    }
+
+    try {
+      const length = parseInt(lengthStr);
+      return isNaN(length)
+        ? { length: null, delimiter }
+        : { length, delimiter };
+    } catch {
+      return { length: null, delimiter };
+    }
+  }
+}
+
+class ToonParseError extends Error {
+  constructor(message, lineNumber = null, details = {}) {
+    super(lineNumber ? `Line ${lineNumber}: ${message}` : message);
+    this.name = "ToonParseError";
+    this.lineNumber = lineNumber;
+    this.reason = message;
+    this.code = details.code ?? null;
+    this.column = details.column ?? null;
+    this.endColumn = details.endColumn ?? null;
+    this.severity = details.severity ?? "error";
+  }
+
+  static fromDiagnostic({ severity, code, message, line, column, endColumn }) {
+    return new ToonParseError(message, line, {
+      severity,
+      code,
+      column,
+      endColumn,
+    });
+  }
+
+  toDiagnostic() {
+    return {
+      severity: this.severity,
+      code: this.code,
+      message: this.reason,
+      line: this.lineNumber,
+      column: this.column,
+      endColumn: this.endColumn,
+    };
+  }
+}
+
+class ToonSourceMap {
+  constructor(ranges = new Map()) {
+    this.ranges = ranges;
+  }
+
+  static childPath(path, key) {
+    const segment = String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+    return `${path}/${segment}`;
+  }
+
+  static parentPath(path) {
+    return path.substring(0, path.lastIndexOf("/"));
+  }
+
+  set(path, startLine, endLine = startLine) {
+    this.ranges.set(path, { startLine, endLine });
+  }
+
+  get(path) {
+    return this.ranges.get(path) ?? null;
+  }
+
+  findPathAtLine(line) {
+    let bestPath = null;
+    let bestSpan = Infinity;
+
+    this.ranges.forEach(({ startLine, endLine }, path) => {
+      if (line < startLine || line > endLine) return;
+
+      const span = endLine - startLine;
+      if (
+        span < bestSpan ||
+        (span === bestSpan && path.length < bestPath.length)
+      ) {
+        bestPath = path;
+        bestSpan = span;
+      }
+    });
+
+    return bestPath;
+  }
+}
+
+class ToonEncoder {
+  constructor(options = {}) {
+    const { indentSize = 2, delimiter = "," } = options;
+
+    if (![",", "|", "\t"].includes(delimiter)) {
+      throw new TypeError(`Unsupported delimiter '${delimiter}'`);
+    }
+    if (!Number.isInteger(indentSize) || indentSize < 1) {
+      throw new TypeError("Indent size must be a positive integer");
+    }
+
+    this.indentSize = indentSize;
+    this.delimiter = delimiter;
+  }
+
+  encode(value) {
+    const normalized = this.normalizeValue(value);
+
+    if (Array.isArray(normalized)) {
+      return this.encodeArray("", normalized, 0).join("\n");
+    }
+    if (this.isObject(normalized)) {
+      return this.encodeObject(normalized, 0).join("\n");
+    }
+    return this.encodePrimitive(normalized);
+  }
+
+  encodeObject(obj, depth) {
+    return Object.entries(obj).flatMap(([key, value]) =>
+      this.encodeEntry(key, value, depth),
+    );
+  }
+
+  encodeEntry(key, value, depth) {
+    const encodedKey = this.encodeKey(key);
+
+    if (Array.isArray(value)) {
+      return this.encodeArray(encodedKey, value, depth);
+    }
+    if (this.isObject(value)) {
+      return [
+        `${this.indent(depth)}${encodedKey}:`,
+        ...this.encodeObject(value, depth + 1),
+      ];
+    }
+    return [
+      `${this.indent(depth)}${encodedKey}: ${this.encodePrimitive(value)}`,
+    ];
+  }
+
+  encodeArray(encodedKey, array, depth) {
+    const header = `${this.indent(depth)}${encodedKey}${this.formatBracket(array.length)}`;
+
+    if (array.length === 0) return [`${header}:`];
+
+    if (array.every((item) => this.isPrimitive(item))) {
+      const values = array.map((item) => this.encodePrimitive(item));
+      return [`${header}: ${values.join(this.delimiter)}`];
+    }
+
+    const fields = this.getTabularFields(array);
+    if (fields) {
+      const rowIndent = this.indent(depth + 1);
+      return [
+        `${header}{${fields.map((field) => this.encodeKey(field)).join(this.delimiter)}}:`,
+        ...array.map(
+          (row) =>
+            rowIndent +
+            fields
+              .map((field) => this.encodePrimitive(row[field]))
+              .join(this.delimiter),
+        ),
+      ];
+    }
+
+    return [
+      `${header}:`,
+      ...array.flatMap((item) => this.encodeListItem(item, depth + 1)),
+    ];
+  }
+
+  encodeListItem(item, depth) {
+    const marker = `${this.indent(depth)}-`;
+
+    if (this.isPrimitive(item)) {
+      return [`${marker} ${this.encodePrimitive(item)}`];
+    }
+
+    const lines = Array.isArray(item)
+      ? this.encodeArray("", item, depth)
+      : this.encodeObject(item, depth + 1);
+
+    if (lines.length === 0) return [marker];
+
+    const [first, ...rest] = lines;
+    return [`${marker} ${first.trimStart()}`, ...rest];
+  }
+
+  getTabularFields(array) {
+    if (!array.every((item) => this.isObject(item))) return null;
+
+    const fields = Object.keys(array[0]);
+    if (fields.length === 0) return null;
+
+    const isUniform = array.every((item) => {
+      const keys = Object.keys(item);
+      return (
+        keys.length === fields.length &&
+        fields.every(
+          (field) =>
+            Object.hasOwn(item, field) && this.isPrimitive(item[field]),
+        )
+      );
+    });
+
+    return isUniform ? fields : null;
+  }
+
+  encodeKey(key) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : this.quote(key);
+  }
+
+  encodePrimitive(value) {
+    if (value === null) return "null";
+    if (typeof value === "boolean") return String(value);
+    if (typeof value === "number") {
+      if (!Number.isFinite(value)) return "null";
+      return Object.is(value, -0) ? "0" : String(value);
+    }
+    return this.needsQuotes(value) ? this.quote(value) : value;
+  }
+
+  needsQuotes(str) {
+    if (str === "" || str !== str.trim()) return true;
+    if (["true", "false", "null", "nil"].includes(str)) return true;
+    if (!isNaN(str)) return true;
+    if (str.startsWith("-")) return true;
+    if (str.includes(this.delimiter)) return true;
+
+    return /[:"'\\[\]{}\n\r\t]/.test(str);
+  }
+
+  quote(str) {
+    const escaped = str
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r")
+      .replace(/\t/g, "\\t");
+    return `"${escaped}"`;
+  }
+
+  formatBracket(length) {
+    return this.delimiter === ","
+      ? `[${length}]`
+      : `[${length}${this.delimiter}]`;
+  }
+
+  indent(depth) {
+    return " ".repeat(depth * this.indentSize);
+  }
+
+  normalizeValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value.toJSON === "function") {
+      return this.normalizeValue(value.toJSON());
+    }
+    if (typeof value === "bigint") return Number(value);
+    if (typeof value === "function" || typeof value === "symbol") return null;
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.normalizeValue(item));
+    }
+
+    if (typeof value === "object") {
+      const normalized = {};
+      for (const [k, v] of Object.entries(value)) {
+        if (v === undefined || typeof v === "function") continue;
+        ToonParser.setOwn(normalized, k, this.normalizeValue(v));
+      }
+      return normalized;
+    }
+
+    return value;
+  }
+
+  isPrimitive(value) {
+    return value === null || typeof value !== "object";
+  }
+
+  isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+}
+
+if (typeof module === "object" && module.exports) {
+  module.exports = { ToonParser, ToonParseError, ToonSourceMap, ToonEncoder };
+}
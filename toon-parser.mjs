@@ -0,0 +1,11 @@
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const {
+  ToonParser,
+  ToonParseError,
+  ToonSourceMap,
+  ToonEncoder,
+} = require("./toon-parser.js");
+
+export { ToonParser, ToonParseError, ToonSourceMap, ToonEncoder };
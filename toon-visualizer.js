@@ -1,918 +1,6027 @@
-class ToonParser {
-  constructor() {
-    this.defaultDelimiter = ",";
-    this.indentSize = 2;
+class ToonPatcher {
+  constructor({ indentSize = 2 } = {}) {
+    this.indentSize = indentSize;
   }
 
-  parse(input) {
-    this.validateInput(input);
-    const lines = this.parseLines(input);
-    const data = this.decode(lines);
-    const stats = this.computeStats(data);
+  static segments(path) {
+    return path
+      .split("/")
+      .slice(1)
+      .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+  }
 
-    return {
-      data: this.normalizeValue(data),
-      stats,
-    };
+  static getValue(data, path) {
+    return ToonPatcher.segments(path).reduce(
+      (value, segment) =>
+        value !== null && typeof value === "object"
+          ? value[segment]
+          : undefined,
+      data,
+    );
   }
 
-  validateInput(input) {
-    if (typeof input !== "string") {
-      throw new ToonParseError("Input must be a string");
-    }
-    if (!input.trim()) {
-      throw new ToonParseError("Input cannot be empty");
+  replaceValue(text, sourceMap, data, path) {
+    const lines = text.split("\n");
+    this.regenerate(lines, sourceMap, data, path);
+    return lines.join("\n");
+  }
+
+  renameKey(text, sourceMap, data, oldPath, newPath) {
+    const lines = text.split("\n");
+    const region = this.encodeRegion(lines, sourceMap, data, newPath, oldPath);
+
+    if (region) {
+      this.splice(lines, region);
+    } else {
+      this.regenerate(
+        lines,
+        sourceMap,
+        data,
+        ToonSourceMap.parentPath(oldPath),
+      );
     }
+    return lines.join("\n");
   }
 
-  parseLines(input) {
-    return input.split("\n").map((raw, index) => {
-      const leadingSpaces = raw.match(/^ */)[0].length;
-      const depth = Math.floor(leadingSpaces / this.indentSize);
-      const trimmed = raw.trim();
+  addKey(text, sourceMap, data, objectPath, key) {
+    const lines = text.split("\n");
+    const entryPath = ToonSourceMap.childPath(objectPath, key);
+    const value = ToonPatcher.getValue(data, entryPath);
 
-      return {
-        raw,
-        depth,
-        content: trimmed,
-        lineNum: index + 1,
-        isBlank: trimmed === "",
-        originalIndent: raw.substring(0, raw.length - trimmed.length),
-      };
-    });
+    if (objectPath === "") {
+      let end = lines.length;
+      while (end > 0 && !lines[end - 1].trim()) end--;
+      lines.splice(end, 0, ...this.encodeEntry(key, value, "", ","));
+      return lines.join("\n");
+    }
+
+    const range = sourceMap.get(objectPath);
+    const parent = ToonPatcher.getValue(
+      data,
+      ToonSourceMap.parentPath(objectPath),
+    );
+    const header = range && lines[range.startLine - 1];
+
+    if (!header || Array.isArray(parent) || !/:\s*$/.test(header)) {
+      this.regenerate(lines, sourceMap, data, objectPath);
+      return lines.join("\n");
+    }
+
+    const indent =
+      range.endLine > range.startLine
+        ? this.indentOf(lines[range.startLine])
+        : this.indentOf(header) + " ".repeat(this.indentSize);
+    lines.splice(
+      range.endLine,
+      0,
+      ...this.encodeEntry(key, value, indent, ","),
+    );
+    return lines.join("\n");
   }
 
-  decode(lines) {
-    const nonBlankLines = lines.filter((line) => !line.isBlank);
+  removeItem(text, sourceMap, data, arrayPath, index) {
+    const lines = text.split("\n");
+    const arrayRange = sourceMap.get(arrayPath);
+    const itemRange = sourceMap.get(ToonSourceMap.childPath(arrayPath, index));
 
-    if (nonBlankLines.length === 0) return {};
+    if (
+      !arrayRange ||
+      !itemRange ||
+      itemRange.startLine === arrayRange.startLine
+    ) {
+      this.regenerate(lines, sourceMap, data, arrayPath);
+      return lines.join("\n");
+    }
+
+    lines.splice(
+      itemRange.startLine - 1,
+      itemRange.endLine - itemRange.startLine + 1,
+    );
+    this.updateLength(lines, arrayRange.startLine, data, arrayPath);
+    return lines.join("\n");
+  }
 
-    const firstLine = nonBlankLines[0];
-    const headerInfo = this.parseHeader(firstLine.content);
+  appendRow(text, sourceMap, data, arrayPath) {
+    const lines = text.split("\n");
+    const array = ToonPatcher.getValue(data, arrayPath);
+    const range = sourceMap.get(arrayPath);
+    const header = range && lines[range.startLine - 1];
 
-    if (headerInfo && headerInfo.key === null) {
-      return this.decodeArray(lines, 0, headerInfo);
+    if (!header || !header.includes("{") || range.endLine === range.startLine) {
+      this.regenerate(lines, sourceMap, data, arrayPath);
+      return lines.join("\n");
     }
 
-    if (nonBlankLines.length === 1) {
-      try {
-        this.splitKeyValue(firstLine.content);
-      } catch {
-        return this.parsePrimitive(firstLine.content);
+    const delimiter = this.delimiterOf(header);
+    const encoder = this.createEncoder(delimiter);
+    const row = array[array.length - 1];
+    lines.splice(
+      range.endLine,
+      0,
+      this.indentOf(lines[range.endLine - 1]) +
+        Object.values(row)
+          .map((value) => encoder.encodePrimitive(value))
+          .join(delimiter),
+    );
+    this.updateLength(lines, range.startLine, data, arrayPath);
+    return lines.join("\n");
+  }
+
+  regenerate(lines, sourceMap, data, path) {
+    for (let current = path; current !== "";) {
+      const region = this.encodeRegion(lines, sourceMap, data, current);
+      if (region) {
+        this.splice(lines, region);
+        return;
       }
+      current = ToonSourceMap.parentPath(current);
     }
 
-    return this.decodeObject(lines, 0, -1);
+    lines.splice(
+      0,
+      lines.length,
+      ...this.createEncoder(",").encode(data).split("\n"),
+    );
   }
 
-  decodeObject(lines, startIdx, parentDepth) {
-    const result = {};
-    let i = startIdx;
-    const expectedDepth = parentDepth + 1;
+  encodeRegion(lines, sourceMap, data, path, sourcePath = path) {
+    const range = sourceMap.get(sourcePath);
+    if (!range) return null;
 
-    while (i < lines.length) {
-      const line = lines[i];
+    const parentPath = ToonSourceMap.parentPath(path);
+    const parent = ToonPatcher.getValue(data, parentPath);
+    const [key] = ToonPatcher.segments(path).slice(-1);
+    const [sourceKey] = ToonPatcher.segments(sourcePath).slice(-1);
+    const line = lines[range.startLine - 1];
+    const indent = this.indentOf(line);
+    const content = line.trimStart();
 
-      if (line.isBlank) {
-        i++;
-        continue;
-      }
+    if (Array.isArray(parent)) {
+      const parentRange = sourceMap.get(parentPath);
+      if (!parentRange || parentRange.startLine === range.startLine)
+        return null;
 
-      if (line.depth < expectedDepth && expectedDepth > 0) break;
-      if (line.depth > expectedDepth) {
-        i++;
-        continue;
-      }
+      const delimiter = this.delimiterOf(lines[parentRange.startLine - 1]);
+      const encoder = this.createEncoder(delimiter);
+      const value = parent[key];
 
-      const headerInfo = this.parseHeader(line.content);
-      if (headerInfo?.key) {
-        const arrayValue = this.decodeArray(lines, i, headerInfo);
-        result[headerInfo.key] = arrayValue.value;
-        i = arrayValue.nextIndex;
-        continue;
+      if (content.startsWith("-")) {
+        return {
+          range,
+          lines: encoder.encodeListItem(value, 0).map((item) => indent + item),
+        };
       }
+      if (
+        !encoder.isObject(value) ||
+        !Object.values(value).every((item) => encoder.isPrimitive(item))
+      ) {
+        return null;
+      }
+      return {
+        range,
+        lines: [
+          indent +
+            Object.values(value)
+              .map((item) => encoder.encodePrimitive(item))
+              .join(delimiter),
+        ],
+      };
+    }
 
-      try {
-        const { key, value } = this.splitKeyValue(line.content);
-        const parsedKey = this.parseKey(key);
+    if (parent === null || typeof parent !== "object") return null;
 
-        if (!this.isValidSnakeCase(parsedKey)) {
-          throw new ToonParseError(
-            `Key '${parsedKey}' must use snake_case format`,
-            line.lineNum,
-          );
-        }
+    const encodedKey = this.createEncoder(",").encodeKey(sourceKey);
+    const marker = content.startsWith("- ") ? "- " : "";
+    const prefix = content
+      .slice(marker.length)
+      .match(/^(?:[A-Za-z_][A-Za-z0-9_]*\.)*/)[0];
+    const rest = content.slice(marker.length + prefix.length);
+    if (
+      !rest.startsWith(encodedKey) ||
+      !/^[:[]/.test(rest.slice(encodedKey.length))
+    ) {
+      return null;
+    }
+    if (!Object.hasOwn(parent, key))
+      return marker ? null : { range, lines: [] };
+
+    const [first, ...children] = this.encodeEntry(
+      key,
+      parent[key],
+      "",
+      this.delimiterOf(line),
+    );
+    const childIndent = marker ? indent + " ".repeat(this.indentSize) : indent;
+    return {
+      range,
+      lines: [
+        indent + marker + prefix + first,
+        ...children.map((child) => childIndent + child),
+      ],
+    };
+  }
 
-        if (!value) {
-          const nestedContent = this.collectNestedLines(
-            lines,
-            i + 1,
-            line.depth,
-          );
-          result[parsedKey] =
-            nestedContent.length > 0
-              ? this.decodeObject(nestedContent, 0, line.depth)
-              : {};
-          i += nestedContent.length + 1;
-        } else {
-          result[parsedKey] = this.parsePrimitive(value);
-          i++;
-        }
-      } catch (error) {
-        throw new ToonParseError(
-          `Invalid object structure: ${error.message}`,
-          line.lineNum,
-        );
-      }
+  encodeEntry(key, value, indent, delimiter) {
+    return this.createEncoder(delimiter)
+      .encodeEntry(key, value, 0)
+      .map((line) => indent + line);
+  }
+
+  updateLength(lines, headerLine, data, arrayPath) {
+    const length = ToonPatcher.getValue(data, arrayPath).length;
+    lines[headerLine - 1] = lines[headerLine - 1].replace(
+      /\[(#?)\d+/,
+      `[$1${length}`,
+    );
+  }
+
+  splice(lines, { range, lines: replacement }) {
+    lines.splice(
+      range.startLine - 1,
+      range.endLine - range.startLine + 1,
+      ...replacement,
+    );
+  }
+
+  createEncoder(delimiter) {
+    return new ToonEncoder({ indentSize: this.indentSize, delimiter });
+  }
+
+  delimiterOf(line) {
+    return line.match(/\[#?\d+([|\t])\]/)?.[1] ?? ",";
+  }
+
+  indentOf(line) {
+    return line.match(/^\s*/)[0];
+  }
+}
+
+class ToonImporter {
+  constructor(parser = new ToonParser(), encoder = new ToonEncoder()) {
+    this.parser = parser;
+    this.encoder = encoder;
+  }
+
+  import(input, format = "auto", parseOptions = {}) {
+    const sourceFormat = format === "auto" ? this.detectFormat(input) : format;
+
+    if (sourceFormat === "toon") {
+      return {
+        format: sourceFormat,
+        toon: input,
+        ...this.parser.parse(input, parseOptions),
+      };
     }
 
-    return result;
+    const data = this.decode(input, sourceFormat);
+    return {
+      format: sourceFormat,
+      toon: this.encoder.encode(data),
+      data: this.parser.normalizeValue(data),
+      stats: this.parser.computeStats(data),
+      diagnostics: [],
+      sourceMap: null,
+    };
   }
 
-  decodeArray(lines, startIdx, headerInfo) {
-    const { key, length, delimiter, fields } = headerInfo;
-    const headerLine = lines[startIdx];
+  decode(input, format) {
+    switch (format) {
+      case "json":
+        return this.parseJson(input);
+      case "yaml":
+        return this.parseYaml(input);
+      case "csv":
+        return this.parseCsv(input);
+      default:
+        throw new ToonParseError(`Unsupported input format '${format}'`, null, {
+          code: "unsupported-format",
+        });
+    }
+  }
 
-    const colonIndex = headerLine.content.indexOf(":");
-    if (colonIndex !== -1) {
-      const afterColon = headerLine.content.substring(colonIndex + 1).trim();
+  detectFormat(input) {
+    const trimmed = input.trim();
 
-      if (afterColon) {
-        const values = this.parseDelimitedValues(afterColon, delimiter);
+    if (/^[{["]/.test(trimmed) || /^(true|false|null|-?\d)/.test(trimmed)) {
+      try {
+        JSON.parse(trimmed);
+        return "json";
+      } catch {
+        // Not JSON; TOON root arrays also start with "[".
+      }
+    }
 
-        this.validateArrayLength(values.length, length, headerLine.lineNum);
+    if (this.looksLikeCsv(trimmed)) return "csv";
+    if (this.looksLikeToon(trimmed)) return "toon";
 
-        return {
-          value: values.map((val) => this.parsePrimitive(val)),
-          nextIndex: startIdx + 1,
-        };
+    try {
+      this.parser.parse(input);
+      return "toon";
+    } catch {
+      try {
+        this.parseYaml(input);
+        return "yaml";
+      } catch {
+        return "toon";
       }
     }
+  }
 
-    if (fields) {
-      return this.decodeTabularArray(
-        lines,
-        startIdx + 1,
-        headerLine.depth,
-        fields,
-        delimiter,
-        length,
-      );
-    } else {
-      return this.decodeListArray(
-        lines,
-        startIdx + 1,
-        headerLine.depth,
-        delimiter,
-        length,
+  looksLikeToon(input) {
+    return /^[ \t]*(?:"[^"\n]*"|[^\s:[]+)?\[#?\d+[,|\t]?\](?:\{[^}\n]*\})?:/m.test(
+      input,
+    );
+  }
+
+  looksLikeCsv(input) {
+    const lines = input.split("\n").filter((line) => line.trim());
+    if (
+      lines.length < 2 ||
+      this.parser.findUnquotedChar(lines[0], ":") !== -1
+    ) {
+      return false;
+    }
+
+    const delimiter = this.detectCsvDelimiter(lines[0]);
+    if (!delimiter) return false;
+
+    const records = this.parseCsvRecords(input, delimiter);
+    const width = records[0].values.length;
+    return records.every((record) => record.values.length === width);
+  }
+
+  parseJson(input) {
+    try {
+      return JSON.parse(input);
+    } catch (error) {
+      throw new ToonParseError(
+        `Invalid JSON: ${error.message}`,
+        this.getJsonErrorLine(input, error.message),
+        { code: "invalid-json" },
       );
     }
   }
 
-  decodeTabularArray(
-    lines,
-    startIdx,
-    headerDepth,
-    fields,
-    delimiter,
-    expectedLength,
-  ) {
-    const result = [];
-    let i = startIdx;
-    const rowDepth = headerDepth + 1;
+  getJsonErrorLine(input, message) {
+    const lineMatch = message.match(/line (\d+)/);
+    if (lineMatch) return Number(lineMatch[1]);
 
-    while (i < lines.length) {
-      const line = lines[i];
+    const positionMatch = message.match(/position (\d+)/);
+    if (!positionMatch) return null;
 
-      if (line.isBlank) {
-        i++;
-        continue;
-      }
+    return input.slice(0, Number(positionMatch[1])).split("\n").length;
+  }
 
-      if (line.depth <= headerDepth) break;
+  parseYaml(input) {
+    const lines = input
+      .split("\n")
+      .map((raw, index) => {
+        const content = this.stripYamlComment(raw).trimEnd();
+        return {
+          indent: content.match(/^ */)[0].length,
+          content: content.trim(),
+          lineNum: index + 1,
+        };
+      })
+      .filter(
+        (line) =>
+          line.content !== "" &&
+          line.content !== "---" &&
+          line.content !== "...",
+      );
 
-      if (line.depth === rowDepth) {
-        const values = this.parseDelimitedValues(line.content, delimiter);
+    if (lines.length === 0) return null;
 
-        if (values.length !== fields.length) {
-          throw new ToonParseError(
-            `Row has ${values.length} values but header expects ${fields.length} fields: ${fields.join(", ")}`,
-            line.lineNum,
-          );
-        }
+    if (lines.length === 1 && !this.isYamlSequenceItem(lines[0].content)) {
+      const colonIdx = this.findYamlColon(lines[0].content);
+      if (colonIdx === -1) return this.parseYamlScalar(lines[0].content);
+    }
 
-        const row = this.createTableRow(fields, values);
-        result.push(row);
-        i++;
-      } else {
-        i++;
-      }
+    const { value, nextIndex } = this.parseYamlBlock(lines, 0, lines[0].indent);
+    if (nextIndex < lines.length) {
+      throw new ToonParseError(
+        "Invalid YAML: unexpected indentation",
+        lines[nextIndex].lineNum,
+        { code: "invalid-yaml" },
+      );
     }
+    return value;
+  }
 
-    this.validateArrayLength(
-      result.length,
-      expectedLength,
-      lines[startIdx - 1]?.lineNum || startIdx,
-    );
-    return { value: result, nextIndex: i };
+  parseYamlBlock(lines, startIdx, indent) {
+    return this.isYamlSequenceItem(lines[startIdx].content)
+      ? this.parseYamlSequence(lines, startIdx, indent)
+      : this.parseYamlMapping(lines, startIdx, indent);
   }
 
-  decodeListArray(lines, startIdx, headerDepth, delimiter, expectedLength) {
+  parseYamlSequence(lines, startIdx, indent) {
     const result = [];
     let i = startIdx;
-    const itemDepth = headerDepth + 1;
 
-    while (i < lines.length) {
+    while (
+      i < lines.length &&
+      lines[i].indent === indent &&
+      this.isYamlSequenceItem(lines[i].content)
+    ) {
       const line = lines[i];
-
-      if (line.isBlank) {
-        i++;
+      const rest = line.content.substring(1).trim();
+
+      if (!rest) {
+        const next = lines[i + 1];
+        if (next && next.indent > indent) {
+          const nested = this.parseYamlBlock(lines, i + 1, next.indent);
+          result.push(nested.value);
+          i = nested.nextIndex;
+        } else {
+          result.push(null);
+          i++;
+        }
         continue;
       }
 
-      if (line.depth < itemDepth) break;
-      if (line.depth > itemDepth) {
-        i++;
+      if (this.isYamlSequenceItem(rest) || this.findYamlColon(rest) !== -1) {
+        const itemIndent = indent + line.content.length - rest.length;
+        lines[i] = { ...line, indent: itemIndent, content: rest };
+        const nested = this.parseYamlBlock(lines, i, itemIndent);
+        result.push(nested.value);
+        i = nested.nextIndex;
         continue;
       }
 
-      if (line.content.startsWith("- ")) {
-        const itemContent = line.content.substring(2).trim();
-        result.push(this.parsePrimitive(itemContent));
-        i++;
-      } else {
-        const itemLines = this.collectNestedLines(lines, i, headerDepth);
-        const itemResult = this.decodeObject(itemLines, 0, headerDepth);
-        result.push(itemResult);
-        i += itemLines.length;
-      }
+      result.push(this.parseYamlScalar(rest, line.lineNum));
+      i++;
     }
 
-    this.validateArrayLength(
-      result.length,
-      expectedLength,
-      lines[startIdx]?.lineNum,
-    );
     return { value: result, nextIndex: i };
   }
 
-  parseDelimitedValues(content, delimiter = this.defaultDelimiter) {
-    if (!content.trim()) return [];
-
-    const values = [];
-    let current = "";
-    let inQuotes = false;
-    let quoteChar = null;
-    let escapeNext = false;
+  parseYamlMapping(lines, startIdx, indent) {
+    const result = {};
+    let i = startIdx;
 
-    for (let i = 0; i < content.length; i++) {
-      const char = content[i];
+    while (i < lines.length && lines[i].indent >= indent) {
+      const line = lines[i];
 
-      if (escapeNext) {
-        current += char;
-        escapeNext = false;
-        continue;
+      if (line.indent > indent) {
+        throw new ToonParseError(
+          "Invalid YAML: unexpected indentation",
+          line.lineNum,
+          { code: "invalid-yaml" },
+        );
       }
+      if (this.isYamlSequenceItem(line.content)) break;
 
-      if (char === "\\") {
-        escapeNext = true;
-        continue;
+      const colonIdx = this.findYamlColon(line.content);
+      if (colonIdx === -1) {
+        throw new ToonParseError(
+          "Invalid YAML: expected 'key: value'",
+          line.lineNum,
+          { code: "invalid-yaml" },
+        );
       }
 
-      if (inQuotes) {
-        if (char === quoteChar) {
-          inQuotes = false;
-        }
-        current += char;
+      const key = this.parser.parseKey(line.content.substring(0, colonIdx));
+      const value = line.content.substring(colonIdx + 1).trim();
+      const next = lines[i + 1];
+
+      if (value) {
+        result[key] = this.parseYamlScalar(value, line.lineNum);
+        i++;
+      } else if (next && next.indent > indent) {
+        const nested = this.parseYamlBlock(lines, i + 1, next.indent);
+        result[key] = nested.value;
+        i = nested.nextIndex;
+      } else if (
+        next &&
+        next.indent === indent &&
+        this.isYamlSequenceItem(next.content)
+      ) {
+        const nested = this.parseYamlSequence(lines, i + 1, indent);
+        result[key] = nested.value;
+        i = nested.nextIndex;
       } else {
-        if (
-          (char === '"' || char === "'") &&
-          (i === 0 || content[i - 1] !== "\\")
-        ) {
-          inQuotes = true;
-          quoteChar = char;
-          current += char;
-        } else if (char === delimiter) {
-          values.push(current.trim());
-          current = "";
-        } else {
-          current += char;
-        }
+        result[key] = null;
+        i++;
       }
     }
 
-    if (current.trim() !== "") {
-      values.push(current.trim());
-    }
-
-    return values;
+    return { value: result, nextIndex: i };
   }
 
-  parsePrimitive(token) {
-    if (token === null || token === undefined) return null;
-
-    const trimmed = String(token).trim();
-    if (trimmed === "") return null;
+  parseYamlScalar(token, lineNum = null) {
+    const trimmed = token.trim();
 
-    if (trimmed === "true") return true;
-    if (trimmed === "false") return false;
-    if (trimmed === "null" || trimmed === "nil") return null;
+    if (trimmed === "" || trimmed === "~" || /^null$/i.test(trimmed)) {
+      return null;
+    }
+    if (/^true$/i.test(trimmed)) return true;
+    if (/^false$/i.test(trimmed)) return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed)) {
+      return Number(trimmed);
+    }
 
     if (
-      (trimmed.startsWith('"') && trimmed.endsWith('"')) ||
-      (trimmed.startsWith("'") && trimmed.endsWith("'"))
+      trimmed.startsWith('"') &&
+      trimmed.endsWith('"') &&
+      trimmed.length > 1
+    ) {
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        throw new ToonParseError(`Invalid YAML string ${trimmed}`, lineNum, {
+          code: "invalid-yaml",
+        });
+      }
+    }
+    if (
+      trimmed.startsWith("'") &&
+      trimmed.endsWith("'") &&
+      trimmed.length > 1
     ) {
-      const unquoted = trimmed.slice(1, -1);
-      return unquoted.replace(/\\(.)/g, "$1");
+      return trimmed.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (trimmed.startsWith("[") && trimmed.endsWith("]")) {
+      return this.splitYamlFlow(trimmed.slice(1, -1)).map((item) =>
+        this.parseYamlScalar(item, lineNum),
+      );
+    }
+    if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
+      const result = {};
+      this.splitYamlFlow(trimmed.slice(1, -1)).forEach((entry) => {
+        const colonIdx = this.findYamlColon(entry);
+        if (colonIdx === -1) {
+          throw new ToonParseError(
+            `Invalid YAML flow mapping entry '${entry}'`,
+            lineNum,
+            { code: "invalid-yaml" },
+          );
+        }
+        result[this.parser.parseKey(entry.substring(0, colonIdx))] =
+          this.parseYamlScalar(entry.substring(colonIdx + 1), lineNum);
+      });
+      return result;
     }
 
-    if (!isNaN(trimmed) && trimmed !== "" && !/^[a-zA-Z]/.test(trimmed)) {
-      const num = Number(trimmed);
-      if (!isNaN(num)) return num;
+    if (/^[|>]/.test(trimmed) || /^[&*!]/.test(trimmed)) {
+      throw new ToonParseError(
+        "Block scalars, anchors and tags are not supported in the YAML subset",
+        lineNum,
+        { code: "invalid-yaml" },
+      );
     }
 
     return trimmed;
   }
 
-  findUnquotedChar(str, char, startIndex = 0) {
-    let inQuotes = false;
+  splitYamlFlow(content) {
+    const items = [];
+    let current = "";
+    let depth = 0;
     let quoteChar = null;
-    let escapeNext = false;
 
-    for (let i = startIndex; i < str.length; i++) {
-      const currentChar = str[i];
-
-      if (escapeNext) {
-        escapeNext = false;
+    for (const char of content) {
+      if (quoteChar) {
+        if (char === quoteChar) quoteChar = null;
+      } else if (char === '"' || char === "'") {
+        quoteChar = char;
+      } else if (char === "[" || char === "{") {
+        depth++;
+      } else if (char === "]" || char === "}") {
+        depth--;
+      } else if (char === "," && depth === 0) {
+        items.push(current.trim());
+        current = "";
         continue;
       }
+      current += char;
+    }
 
-      if (currentChar === "\\") {
-        escapeNext = true;
-        continue;
-      }
+    if (current.trim()) items.push(current.trim());
+    return items;
+  }
 
-      if (inQuotes) {
-        if (currentChar === quoteChar) inQuotes = false;
-      } else {
-        if (currentChar === '"' || currentChar === "'") {
-          inQuotes = true;
-          quoteChar = currentChar;
-        } else if (currentChar === char) {
-          return i;
-        }
-      }
+  findYamlColon(content) {
+    let idx = this.parser.findUnquotedChar(content, ":");
+
+    while (idx !== -1) {
+      if (idx === content.length - 1 || content[idx + 1] === " ") return idx;
+      idx = this.parser.findUnquotedChar(content, ":", idx + 1);
     }
     return -1;
   }
 
-  parseKey(keyStr) {
-    const trimmed = keyStr.trim();
+  isYamlSequenceItem(content) {
+    return content === "-" || content.startsWith("- ");
+  }
 
-    if (
-      (trimmed.startsWith('"') && trimmed.endsWith('"')) ||
-      (trimmed.startsWith("'") && trimmed.endsWith("'"))
-    ) {
-      return trimmed.slice(1, -1).replace(/\\(.)/g, "$1");
-    }
+  stripYamlComment(raw) {
+    let quoteChar = null;
 
-    return trimmed;
+    for (let i = 0; i < raw.length; i++) {
+      const char = raw[i];
+      if (quoteChar) {
+        if (char === quoteChar) quoteChar = null;
+      } else if (char === '"' || char === "'") {
+        quoteChar = char;
+      } else if (char === "#" && (i === 0 || /\s/.test(raw[i - 1]))) {
+        return raw.substring(0, i);
+      }
+    }
+    return raw;
   }
 
-  splitKeyValue(line) {
-    const colonIdx = this.findUnquotedChar(line, ":");
-    if (colonIdx === -1) {
-      throw new ToonParseError("Missing colon after key");
+  parseCsv(input) {
+    const firstLine = input.split("\n").find((line) => line.trim()) || "";
+    const delimiter = this.detectCsvDelimiter(firstLine) || ",";
+    const [header, ...records] = this.parseCsvRecords(input, delimiter);
+
+    if (!header) {
+      throw new ToonParseError("CSV input has no header row", null, {
+        code: "missing-header",
+      });
     }
 
-    return {
-      key: line.substring(0, colonIdx).trim(),
-      value: line.substring(colonIdx + 1).trim(),
-    };
-  }
+    const fields = header.values.map(
+      ({ text }, index) => text.trim() || `column_${index + 1}`,
+    );
 
-  collectNestedLines(lines, startIdx, parentDepth) {
-    const nestedLines = [];
-    let i = startIdx;
+    const rows = records.map(({ values, lineNum }) => {
+      if (values.length !== fields.length) {
+        throw new ToonParseError(
+          `Row has ${values.length} values but header expects ${fields.length} fields: ${fields.join(", ")}`,
+          lineNum,
+          { code: "row-width-mismatch" },
+        );
+      }
 
-    while (i < lines.length && lines[i].depth > parentDepth) {
-      nestedLines.push(lines[i]);
-      i++;
-    }
+      const row = {};
+      fields.forEach((field, index) => {
+        row[field] = this.inferCsvValue(values[index]);
+      });
+      return row;
+    });
 
-    return nestedLines;
+    return { rows };
   }
 
-  createTableRow(fields, values) {
-    const row = {};
-    fields.forEach((field, index) => {
-      row[field] =
-        values[index] !== undefined ? this.parsePrimitive(values[index]) : null;
-    });
-    return row;
+  detectCsvDelimiter(line) {
+    const counts = [",", "\t", ";"].map((delimiter) => ({
+      delimiter,
+      count: line.split(delimiter).length - 1,
+    }));
+    const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+    return best.count > 0 ? best.delimiter : null;
   }
 
-  normalizeValue(value) {
-    if (value === null || value === undefined) return null;
-    if (typeof value === "boolean" || typeof value === "number") return value;
-    if (typeof value === "string") return value;
+  parseCsvRecords(input, delimiter) {
+    const records = [];
+    let values = [];
+    let text = "";
+    let quoted = false;
+    let inQuotes = false;
+    let lineNum = 1;
+    let recordLine = 1;
 
-    if (Array.isArray(value)) {
-      return value.map((item) => this.normalizeValue(item));
-    }
+    const pushValue = () => {
+      values.push({ text, quoted });
+      text = "";
+      quoted = false;
+    };
+    const pushRecord = () => {
+      pushValue();
+      const isEmpty =
+        values.length === 1 && !values[0].quoted && !values[0].text.trim();
+      if (!isEmpty) records.push({ values, lineNum: recordLine });
+      values = [];
+      recordLine = lineNum;
+    };
 
-    if (typeof value === "object") {
-      const normalized = {};
-      for (const [k, v] of Object.entries(value)) {
-        normalized[k] = this.normalizeValue(v);
-      }
-      return normalized;
-    }
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
 
-    return String(value);
-  }
-
-  computeStats(data) {
-    let sections = 0;
-    let arrays = 0;
-    let fields = 0;
-    let rows = 0;
-
-    const traverse = (obj) => {
-      if (Array.isArray(obj)) {
-        arrays++;
-        rows += obj.length;
-        obj.forEach((item) => {
-          if (typeof item === "object" && item !== null) {
-            traverse(item);
-          }
-        });
-      } else if (typeof obj === "object" && obj !== null) {
-        const keys = Object.keys(obj);
-        if (keys.length > 0) sections++;
-        fields += keys.length;
-        keys.forEach((key) => traverse(obj[key]));
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          text += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === "\n") lineNum++;
+          text += char;
+        }
+      } else if (char === '"' && !text.trim()) {
+        inQuotes = true;
+        quoted = true;
+        text = "";
+      } else if (char === delimiter) {
+        pushValue();
+      } else if (char === "\n") {
+        lineNum++;
+        pushRecord();
+      } else if (char !== "\r") {
+        text += char;
       }
-    };
+    }
 
-    traverse(data);
-    return { sections, arrays, fields, rows };
-  }
+    if (inQuotes) {
+      throw new ToonParseError("Unterminated quoted CSV value", recordLine, {
+        code: "unterminated-quote",
+      });
+    }
+    pushRecord();
 
-  isValidSnakeCase(key) {
-    return /^[a-z][a-z0-9_]*(_[a-z0-9]+)*$/.test(key);
+    return records;
   }
 
-  validateArrayLength(actual, expected, lineNum) {
-    if (expected !== null && actual !== expected) {
-      throw new ToonParseError(
-        `Array length mismatch: declared [${expected}] but found ${actual} items`,
-        lineNum,
-      );
+  inferCsvValue({ text, quoted }) {
+    if (quoted) return text;
+
+    const trimmed = text.trim();
+    if (trimmed === "" || trimmed === "null") return null;
+    if (trimmed === "true") return true;
+    if (trimmed === "false") return false;
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(trimmed)) {
+      return Number(trimmed);
     }
+    return trimmed;
   }
+}
 
-  parseHeader(line) {
-    const bracketMatch = line.match(/^([^:\[]*)(\[([^\]]+)\])?(\{([^}]+)\})?/);
-    if (!bracketMatch) return null;
+class ToonExporter {
+  constructor(encoder = new ToonEncoder()) {
+    this.encoder = encoder;
+  }
 
-    const keyPart = bracketMatch[1].trim();
-    const bracketContent = bracketMatch[3];
-    const fieldsContent = bracketMatch[5];
+  toJson(data) {
+    return JSON.stringify(data, null, 2);
+  }
 
-    if (!bracketContent) return null;
+  toToon(data) {
+    return this.encoder.encode(data);
+  }
 
-    const key = keyPart || null;
-    let { length, delimiter } = this.parseBracketContent(bracketContent);
+  toDelimited(rows, delimiter = ",") {
+    const fields = Array.from(new Set(rows.flatMap((row) => Object.keys(row))));
+    const lines = [
+      fields,
+      ...rows.map((row) => fields.map((field) => row[field])),
+    ];
+
+    return lines
+      .map((values) =>
+        values
+          .map((value) => this.formatCell(value, delimiter))
+          .join(delimiter),
+      )
+      .join("\r\n");
+  }
 
-    if (length === null) return null;
+  formatCell(value, delimiter) {
+    if (value === null || value === undefined) return "";
 
-    let fields = null;
-    if (fieldsContent) {
-      const fieldTokens = fieldsContent
-        .split(",")
-        .map((f) => f.trim())
-        .filter((f) => f);
+    const text =
+      typeof value === "object" ? JSON.stringify(value) : String(value);
+    const needsQuotes =
+      text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
 
-      fieldTokens.forEach((field) => {
-        if (!this.isValidSnakeCase(field)) {
-          throw new ToonParseError(
-            `Field name '${field}' must use snake_case format`,
-          );
-        }
-      });
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  }
 
-      fields = fieldTokens;
+  toHtmlSnapshot(container, styles, title = "TOON Snapshot") {
+    const snapshot = container.cloneNode(true);
+    snapshot.removeAttribute("id");
+    snapshot
+      .querySelectorAll(".table-actions, .filter-row")
+      .forEach((el) => el.remove());
+
+    const heading = document.createElement("title");
+    heading.textContent = title;
+
+    return `<!doctype html>
+<html lang="en">
+    <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        ${heading.outerHTML}
+        <style>${styles}</style>
+    </head>
+    <body>
+        <div class="container">${snapshot.outerHTML}</div>
+        <script>
+            document.querySelectorAll(".section-header").forEach(function (header) {
+                header.addEventListener("click", function () {
+                    var content = header.nextElementSibling;
+                    var icon = header.querySelector(".toggle-icon");
+                    var show = !content.classList.contains("show");
+                    content.classList.toggle("show", show);
+                    if (icon) icon.classList.toggle("expanded", show);
+                });
+            });
+        </script>
+    </body>
+</html>`;
+  }
 
-      if (delimiter === null) {
-        delimiter = ",";
-      }
-    }
+  download(filename, content, mimeType = "text/plain") {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
 
-    if (delimiter === null) {
-      delimiter = ",";
+  async copyToClipboard(text) {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return;
     }
 
-    return { key, length, delimiter, fields };
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand("copy");
+    textarea.remove();
   }
+}
 
-  parseBracketContent(content) {
-    let lengthStr = content.trim();
-    let delimiter = null;
-
-    if (lengthStr.endsWith("|")) {
-      delimiter = "|";
-      lengthStr = lengthStr.slice(0, -1);
-    } else if (lengthStr.endsWith(",")) {
-      delimiter = ",";
-      lengthStr = lengthStr.slice(0, -1);
-    }
+class ToonTokenizer {
+  constructor(
+    encoder = new ToonEncoder(),
+    vocab = null,
+    { maxLength = 100000 } = {},
+  ) {
+    this.encoder = encoder;
+    this.maxLength = maxLength;
+    this.setVocab(vocab);
+  }
 
-    if (lengthStr.startsWith("#")) {
-      lengthStr = lengthStr.substring(1);
-    }
+  setVocab(vocab) {
+    this.vocab = vocab;
+    this.ranks = null;
+    this.pattern = null;
+  }
 
-    try {
-      const length = parseInt(lengthStr);
-      return isNaN(length)
-        ? { length: null, delimiter }
-        : { length, delimiter };
-    } catch {
-      return { length: null, delimiter };
-    }
+  getMethod(exact = this.vocab !== null) {
+    return exact ? `${this.vocab.name} BPE` : "character estimate";
   }
-}
 
-class ToonParseError extends Error {
-  constructor(message, lineNumber = null) {
-    super(lineNumber ? `Line ${lineNumber}: ${message}` : message);
-    this.name = "ToonParseError";
-    this.lineNumber = lineNumber;
+  count(text, exact = this.vocab !== null) {
+    if (!text) return 0;
+    return exact ? this.encode(text).length : this.estimate(text);
   }
-}
 
-class ToonRenderer {
-  constructor() {
-    this.allExpanded = false;
+  estimate(text) {
+    const pattern = /([A-Za-z]+)|(\d{1,3})|(\s+)|[^\sA-Za-z\d]+/g;
+    let total = 0;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      const [piece, word, digits, space] = match;
+      if (word) {
+        total += Math.ceil(piece.length / 6);
+      } else if (digits) {
+        total += 1;
+      } else if (space) {
+        total += piece.includes("\n") ? 1 : 0;
+      } else {
+        total += Math.ceil(piece.length / 2);
+      }
+    }
+
+    return total;
   }
 
-  render(data, container, stats) {
-    container.innerHTML = "";
+  encode(text) {
+    this.loadRanks();
 
-    if (!data || Object.keys(data).length === 0) {
-      this.renderEmptyState(container);
-      return;
-    }
+    const tokens = [];
+    const textEncoder = new TextEncoder();
 
-    Object.entries(data).forEach(([key, value]) => {
-      const section = this.createSection(key, value);
-      if (section) container.appendChild(section);
-    });
+    for (const match of text.matchAll(this.pattern)) {
+      const piece = Array.from(textEncoder.encode(match[0]), (byte) =>
+        String.fromCharCode(byte),
+      ).join("");
+      const rank = this.ranks.get(piece);
 
-    this.renderStats(stats);
-    this.updateExpandAllButton();
+      if (rank !== undefined) {
+        tokens.push(rank);
+      } else {
+        tokens.push(...this.bytePairEncode(piece));
+      }
+    }
+
+    return tokens;
   }
 
-  createSection(key, value, path = "") {
-    const section = document.createElement("div");
-    section.className = "toon-section";
+  bytePairEncode(piece) {
+    const parts = Array.from(piece);
 
-    const { meta, isCollapsible } = this.getSectionMeta(value);
-    const header = this.createHeader(key, meta, isCollapsible);
-    const content = this.createContent(key, value, path, isCollapsible);
+    while (parts.length > 1) {
+      let minRank = Infinity;
+      let minIndex = -1;
 
-    if (isCollapsible) {
-      this.makeCollapsible(header, content);
-      section.appendChild(header);
+      for (let i = 0; i < parts.length - 1; i++) {
+        const rank = this.ranks.get(parts[i] + parts[i + 1]);
+        if (rank !== undefined && rank < minRank) {
+          minRank = rank;
+          minIndex = i;
+        }
+      }
+
+      if (minIndex === -1) break;
+      parts.splice(minIndex, 2, parts[minIndex] + parts[minIndex + 1]);
     }
 
-    section.appendChild(content);
-    if (!isCollapsible) content.classList.add("show");
+    return parts
+      .map((part) => this.ranks.get(part))
+      .filter((rank) => rank !== undefined);
+  }
 
-    return section;
+  loadRanks() {
+    if (this.ranks) return;
+
+    this.ranks = new Map();
+    this.pattern = new RegExp(this.vocab.pat_str, "gu");
+
+    this.vocab.bpe_ranks
+      .split("\n")
+      .filter(Boolean)
+      .forEach((line) => {
+        const [, offset, ...tokens] = line.split(" ");
+        const base = Number(offset);
+        tokens.forEach((token, index) => {
+          this.ranks.set(atob(token), base + index);
+        });
+      });
   }
 
-  getSectionMeta(value) {
-    if (Array.isArray(value)) {
-      const isTabular =
-        value.length > 0 &&
-        value.every((item) => typeof item === "object" && item !== null);
+  compareFormats(toon, data) {
+    const json = JSON.stringify(data, null, 2);
+    const exact = this.vocab !== null && json.length <= this.maxLength;
+    const totals = this.measure(toon, data, exact, json);
 
-      if (isTabular) {
-        const allKeys = new Set(value.flatMap((item) => Object.keys(item)));
-        return {
-          meta: `[${value.length}] rows × ${allKeys.size} fields`,
-          isCollapsible: true,
-        };
-      }
-      return {
-        meta: `[${value.length}] items`,
-        isCollapsible: true,
-      };
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+      return { method: this.getMethod(exact), totals, sections: [] };
     }
 
-    if (typeof value === "object" && value !== null) {
-      const fieldCount = Object.keys(value).length;
+    const sections = Object.entries(data).map(([key, value]) => {
+      const section = Object.fromEntries([[key, value]]);
       return {
-        meta: `${fieldCount} field${fieldCount !== 1 ? "s" : ""}`,
-        isCollapsible: true,
+        key,
+        ...this.measure(this.encoder.encode(section), section, exact),
       };
-    }
+    });
 
-    return { meta: "", isCollapsible: false };
+    return { method: this.getMethod(exact), totals, sections };
   }
 
-  createHeader(key, meta, isCollapsible) {
-    const header = document.createElement("div");
-    header.className = "section-header";
+  measure(toon, data, exact, json = JSON.stringify(data, null, 2)) {
+    return {
+      toon: this.count(toon, exact),
+      json: this.count(json, exact),
+      compactJson: this.count(JSON.stringify(data), exact),
+    };
+  }
+}
 
-    header.innerHTML = `
-            <div>
-                <span class="section-name">${key}</span>
-                ${meta ? `<span class="section-meta">${meta}</span>` : ""}
-            </div>
-            ${isCollapsible ? '<span class="toggle-icon">▼</span>' : ""}
-        `;
+class ToonVirtualList {
+  constructor(
+    viewport,
+    { rowHeight = 37, overscan = 10, viewportHeight = 480 } = {},
+  ) {
+    this.viewport = viewport;
+    this.rowHeight = rowHeight;
+    this.overscan = overscan;
+    this.viewportHeight = viewportHeight;
+    this.windowed = true;
+    this.measured = false;
+    this.container = null;
+    this.range = null;
+    this.frame = null;
+    this.items = [];
+    this.heights = new Map();
+    this.sortedHeights = null;
+
+    viewport.addEventListener("scroll", () => this.schedule());
+    viewport.addEventListener("click", () => this.schedule());
+  }
 
-    return header;
+  attach(container, count, renderItem, createSpacer) {
+    this.container = container;
+    this.count = count;
+    this.renderItem = renderItem;
+    this.createSpacer = createSpacer;
+    this.range = null;
+    this.heights = new Map();
+    this.sortedHeights = null;
+    this.render();
   }
 
-  createContent(key, value, path, isCollapsible) {
-    const content = document.createElement("div");
-    content.className = `section-content ${isCollapsible ? "" : "show"}`;
+  detach() {
+    this.container = null;
+  }
 
-    if (Array.isArray(value)) {
-      content.appendChild(this.renderArray(value));
-    } else if (typeof value === "object" && value !== null) {
-      content.appendChild(this.renderObject(value, path, key));
-    } else {
-      return this.renderField(key, value);
-    }
+  schedule() {
+    if (this.frame !== null) return;
 
-    return content;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
   }
 
-  renderArray(array) {
-    const isTabular =
-      array.length > 0 &&
-      array.every((item) => typeof item === "object" && item !== null);
+  render() {
+    if (!this.container) return;
 
-    if (isTabular) {
-      return this.renderTabularArray(array);
-    } else {
-      return this.renderSimpleArray(array);
+    const { first, last } = this.windowed
+      ? this.getRange()
+      : { first: 0, last: this.count };
+    if (this.range?.first === first && this.range?.last === last) {
+      this.measure();
+      return;
     }
-  }
-
-  renderTabularArray(array) {
-    const tableWrapper = document.createElement("div");
-    tableWrapper.className = "table-wrapper";
+    this.range = { first, last };
 
-    const table = document.createElement("table");
-    const allKeys = Array.from(
-      new Set(array.flatMap((item) => Object.keys(item))),
+    this.items = [];
+    for (let index = first; index < last; index++) {
+      this.items.push(this.renderItem(index));
+    }
+    this.container.replaceChildren(
+      this.createSpacer(this.offsetOf(first)),
+      ...this.items,
+      this.createSpacer(this.offsetOf(this.count) - this.offsetOf(last)),
     );
+    this.measure();
+  }
 
-    const thead = document.createElement("thead");
-    const headerRow = document.createElement("tr");
-    headerRow.innerHTML = '<th style="width: 40px;">#</th>';
+  measure() {
+    if (!this.range) return;
+
+    const measured = this.items[0]?.offsetHeight;
+    if (!this.measured && measured > 0) {
+      this.measured = true;
+      if (Math.abs(measured - this.rowHeight) > 0.5) {
+        this.rowHeight = measured;
+        this.range = null;
+        this.render();
+        return;
+      }
+    }
 
-    allKeys.forEach((field) => {
-      const th = document.createElement("th");
-      th.textContent = field;
-      headerRow.appendChild(th);
+    let changed = false;
+    this.items.forEach((item, offset) => {
+      const index = this.range.first + offset;
+      const height = item.offsetHeight;
+      const previous = this.heights.get(index) ?? this.rowHeight;
+      if (!(height > 0) || Math.abs(height - previous) <= 0.5) return;
+
+      changed = true;
+      if (Math.abs(height - this.rowHeight) <= 0.5) {
+        this.heights.delete(index);
+      } else {
+        this.heights.set(index, height);
+      }
     });
+    if (!changed) return;
 
-    thead.appendChild(headerRow);
-    table.appendChild(thead);
+    const { first, last } = this.range;
+    this.sortedHeights = null;
+    this.container.firstElementChild.replaceWith(
+      this.createSpacer(this.offsetOf(first)),
+    );
+    this.container.lastElementChild.replaceWith(
+      this.createSpacer(this.offsetOf(this.count) - this.offsetOf(last)),
+    );
+  }
 
-    const tbody = document.createElement("tbody");
-    array.forEach((item, index) => {
-      const row = document.createElement("tr");
-      row.innerHTML = `<td class="row-number">${index + 1}</td>`;
+  offsetOf(index) {
+    let offset = index * this.rowHeight;
+    for (const [measured, height] of this.heights) {
+      if (measured < index) offset += height - this.rowHeight;
+    }
+    return offset;
+  }
 
-      allKeys.forEach((field) => {
-        const td = document.createElement("td");
-        const fieldValue = item[field];
-        td.textContent =
-          fieldValue !== undefined && fieldValue !== null
-            ? String(fieldValue)
-            : "null";
-        row.appendChild(td);
-      });
+  indexAt(offset) {
+    this.sortedHeights ??= [...this.heights].sort(([a], [b]) => a - b);
 
-      tbody.appendChild(row);
-    });
+    let extra = 0;
+    for (const [index, height] of this.sortedHeights) {
+      const start = index * this.rowHeight + extra;
+      if (offset < start) break;
+      if (offset < start + height) return index;
+      extra += height - this.rowHeight;
+    }
+    return Math.floor((offset - extra) / this.rowHeight);
+  }
 
-    table.appendChild(tbody);
-    tableWrapper.appendChild(table);
-    return tableWrapper;
+  getRange() {
+    const height = this.viewport.clientHeight || this.viewportHeight;
+    const { scrollTop } = this.viewport;
+
+    return {
+      first: Math.max(0, this.indexAt(scrollTop) - this.overscan),
+      last: Math.min(
+        this.count,
+        this.indexAt(scrollTop + height) + 1 + this.overscan,
+      ),
+    };
   }
 
-  renderSimpleArray(array) {
-    const arrayDiv = document.createElement("div");
-    arrayDiv.className = "array-container";
+  scrollToIndex(index) {
+    const height = this.viewport.clientHeight || this.viewportHeight;
+    this.viewport.scrollTop = Math.max(0, this.offsetOf(index) - height / 3);
+    this.render();
+  }
 
-    array.forEach((item, index) => {
-      const fieldItem = document.createElement("div");
-      fieldItem.className = "field-item";
-      fieldItem.innerHTML = `
-                <span class="field-key">${index}</span>
-                <span class="field-value">${JSON.stringify(item)}</span>
-            `;
-      arrayDiv.appendChild(fieldItem);
-    });
+  setWindowed(windowed) {
+    this.windowed = windowed;
+    this.range = null;
+    this.render();
+  }
+}
 
-    return arrayDiv;
+class ToonTable {
+  constructor(
+    rows,
+    {
+      key = "table",
+      path = "",
+      search = new ToonSearch(),
+      violations = new Map(),
+      editable = false,
+    } = {},
+  ) {
+    this.rows = rows;
+    this.key = key;
+    this.path = path;
+    this.search = search;
+    this.violations = violations;
+    this.editable = editable;
+    this.columns = Array.from(new Set(rows.flatMap((row) => Object.keys(row))));
+    this.columnTypes = new Map(
+      this.columns.map((column) => [column, this.inferType(column)]),
+    );
+    this.hidden = new Set();
+    this.sort = null;
+    this.query = "";
+    this.columnFilters = new Map();
+    this.transposed = false;
+    this.visibleRows = [];
+    this.virtual = null;
+    this.windowThreshold = 200;
+    this.transposeLimit = 200;
+    this.profile = null;
   }
 
-  renderObject(obj, path, parentKey) {
-    const container = document.createElement("div");
+  render(actions) {
+    this.wrapper = document.createElement("div");
+    this.wrapper.className = "table-wrapper";
 
-    Object.entries(obj).forEach(([nestedKey, nestedValue]) => {
-      if (
-        Array.isArray(nestedValue) ||
-        (typeof nestedValue === "object" && nestedValue !== null)
-      ) {
-        const nestedSection = this.createSection(
-          nestedKey,
-          nestedValue,
-          path ? `${path}.${nestedKey}` : parentKey,
-        );
-        container.appendChild(nestedSection);
-      } else {
-        container.appendChild(this.renderField(nestedKey, nestedValue));
-      }
-    });
+    this.viewport = document.createElement("div");
+    this.viewport.className = "table-scroll";
+    this.table = document.createElement("table");
+    this.viewport.appendChild(this.table);
 
-    return container;
-  }
+    this.profilePanel = document.createElement("div");
+    this.profilePanel.className = "table-profile";
+    this.profilePanel.hidden = true;
 
-  renderField(key, value) {
-    const fieldItem = document.createElement("div");
-    fieldItem.className = "field-item";
-    fieldItem.innerHTML = `
-            <span class="field-key">${key}</span>
-            <span class="field-value">${JSON.stringify(value)}</span>
-        `;
-    return fieldItem;
+    this.wrapper.append(
+      this.createToolbar(actions),
+      this.profilePanel,
+      this.viewport,
+    );
+
+    this.refresh();
+    return this.wrapper;
   }
 
-  makeCollapsible(header, content) {
-    const toggleIcon = header.querySelector(".toggle-icon");
+  createToolbar(actions) {
+    const toolbar = document.createElement("div");
+    toolbar.className = "table-actions";
+
+    const filter = document.createElement("input");
+    filter.type = "search";
+    filter.className = "table-filter";
+    filter.placeholder = "Filter rows (text or id > 10 and active = true)";
+    filter.addEventListener("input", () => {
+      this.query = filter.value;
+      this.refreshBody();
+    });
 
-    header.addEventListener("click", () => {
-      const isShowing = content.classList.contains("show");
-      content.classList.toggle("show", !isShowing);
-      toggleIcon.classList.toggle("expanded", !isShowing);
-      this.updateExpandAllButton();
+    this.count = document.createElement("span");
+    this.count.className = "table-count";
+
+    this.columnMenu = document.createElement("details");
+    this.columnMenu.className = "column-menu";
+    const summary = document.createElement("summary");
+    summary.textContent = "Columns ▾";
+    this.columnList = document.createElement("div");
+    this.columnList.className = "column-options";
+    this.columnMenu.append(summary, this.columnList);
+    this.renderColumnList();
+
+    const transpose = document.createElement("button");
+    transpose.className = "btn-small";
+    transpose.textContent = "⇄ Transpose";
+    transpose.setAttribute("aria-pressed", "false");
+    transpose.addEventListener("click", () => {
+      this.transposed = !this.transposed;
+      transpose.setAttribute("aria-pressed", String(this.transposed));
+      this.refresh();
     });
-  }
 
-  renderEmptyState(container) {
-    container.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">📄</div>
-                <p>No data to display</p>
-            </div>
-        `;
-    document.getElementById("statsContainer").style.display = "none";
-  }
+    const profile = document.createElement("button");
+    profile.className = "btn-small";
+    profile.textContent = "Profile";
+    profile.setAttribute("aria-pressed", "false");
+    profile.addEventListener("click", () => {
+      const show = this.profilePanel.hidden;
+      profile.setAttribute("aria-pressed", String(show));
+      if (show) this.profilePanel.replaceChildren(this.renderProfile());
+      this.profilePanel.hidden = !show;
+    });
 
-  renderStats(stats) {
-    const statsContainer = document.getElementById("statsContainer");
-    statsContainer.style.display = "flex";
-    statsContainer.innerHTML = `
-            <div class="stat-item"><span>Sections:</span><span class="stat-value">${stats.sections}</span></div>
-            <div class="stat-item"><span>Arrays:</span><span class="stat-value">${stats.arrays}</span></div>
-            <div class="stat-item"><span>Fields:</span><span class="stat-value">${stats.fields}</span></div>
-            <div class="stat-item"><span>Rows:</span><span class="stat-value">${stats.rows}</span></div>
-        `;
+    toolbar.append(filter, this.count, this.columnMenu, transpose, profile);
+    if (actions) toolbar.append(...actions.childNodes);
+    return toolbar;
   }
 
-  updateExpandAllButton() {
-    const sections = document.querySelectorAll(".toon-section");
-    let allExpanded = true;
-    let allCollapsed = true;
+  renderColumnList() {
+    this.columnList.innerHTML = "";
 
-    sections.forEach((section) => {
-      const content = section.querySelector(".section-content");
-      if (content) {
-        if (content.classList.contains("show")) {
-          allCollapsed = false;
+    this.columns.forEach((column, index) => {
+      const option = document.createElement("div");
+      option.className = "column-option";
+
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = !this.hidden.has(column);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) {
+          this.hidden.delete(column);
         } else {
-          allExpanded = false;
+          this.hidden.add(column);
         }
-      }
+        this.refresh();
+      });
+      label.append(checkbox, document.createTextNode(` ${column}`));
+      option.appendChild(label);
+
+      [
+        { text: "↑", offset: -1, disabled: index === 0 },
+        { text: "↓", offset: 1, disabled: index === this.columns.length - 1 },
+      ].forEach(({ text, offset, disabled }) => {
+        const button = document.createElement("button");
+        button.className = "btn-small";
+        button.textContent = text;
+        button.disabled = disabled;
+        button.setAttribute(
+          "aria-label",
+          `Move ${column} ${offset < 0 ? "left" : "right"}`,
+        );
+        button.addEventListener("click", () => this.moveColumn(column, offset));
+        option.appendChild(button);
+      });
+
+      this.columnList.appendChild(option);
     });
+  }
 
-    const expandText = document.getElementById("expandAllText");
-    if (sections.length === 0 || allCollapsed) {
-      expandText.textContent = "Expand All";
-      this.allExpanded = false;
-    } else if (allExpanded) {
-      expandText.textContent = "Collapse All";
-      this.allExpanded = true;
+  moveColumn(column, offset) {
+    const from = this.columns.indexOf(column);
+    const to = from + offset;
+    if (to < 0 || to >= this.columns.length) return;
+
+    this.columns.splice(from, 1);
+    this.columns.splice(to, 0, column);
+    this.renderColumnList();
+    this.refresh();
+  }
+
+  toggleSort(column) {
+    if (this.sort?.column !== column) {
+      this.sort = { column, direction: 1 };
+    } else if (this.sort.direction === 1) {
+      this.sort = { column, direction: -1 };
     } else {
-      expandText.textContent = "Expand All";
-      this.allExpanded = false;
+      this.sort = null;
     }
+    this.refresh();
   }
 
-  toggleAllSections(expand) {
-    const sections = document.querySelectorAll(".toon-section");
+  refresh() {
+    this.virtual?.detach();
+    this.table.innerHTML = "";
+    this.head = document.createElement("thead");
+    this.body = document.createElement("tbody");
+    this.table.append(this.head, this.body);
 
-    sections.forEach((section) => {
-      const content = section.querySelector(".section-content");
-      const icon = section.querySelector(".toggle-icon");
+    if (this.transposed) {
+      this.refreshBody();
+      return;
+    }
+
+    this.renderHead();
+    this.refreshBody();
+  }
 
-      if (content && icon) {
-        content.classList.toggle("show", expand);
-        icon.classList.toggle("expanded", expand);
+  refreshBody() {
+    const visibleRows = this.getVisibleRows();
+    this.visibleRows = visibleRows;
+    this.count.textContent =
+      visibleRows.length === this.rows.length
+        ? `${this.rows.length} rows`
+        : `${visibleRows.length} of ${this.rows.length} rows`;
+
+    if (this.transposed) {
+      if (visibleRows.length > this.transposeLimit) {
+        this.count.textContent += ` (first ${this.transposeLimit} shown)`;
       }
+      this.renderTransposed(visibleRows.slice(0, this.transposeLimit));
+      return;
+    }
+
+    const windowed = visibleRows.length > this.windowThreshold;
+    this.viewport.classList.toggle("windowed", windowed);
+
+    if (!windowed) {
+      this.virtual?.detach();
+      this.body.replaceChildren(
+        ...visibleRows.map((row) => this.createRow(row)),
+      );
+      return;
+    }
+
+    this.virtual ??= new ToonVirtualList(this.viewport);
+    this.virtual.attach(
+      this.body,
+      visibleRows.length,
+      (position) => this.createRow(visibleRows[position]),
+      (height) => this.createSpacer(height),
+    );
+  }
+
+  createRow({ row, index }) {
+    const tr = document.createElement("tr");
+    tr.dataset.path = ToonSourceMap.childPath(this.path, index);
+
+    const number = document.createElement("td");
+    number.className = "row-number";
+    number.textContent = index + 1;
+    this.markViolations(number, tr.dataset.path);
+    if (this.editable) {
+      const remove = document.createElement("button");
+      remove.className = "edit-btn";
+      remove.dataset.edit = "remove";
+      remove.dataset.path = tr.dataset.path;
+      remove.title = "Delete row";
+      remove.textContent = "×";
+      number.appendChild(remove);
+    }
+    tr.appendChild(number);
+
+    this.getVisibleColumns().forEach((column) => {
+      const td = document.createElement("td");
+      td.dataset.column = column;
+      this.search.render(td, this.formatValue(row[column]), "value");
+      this.markViolations(td, ToonSourceMap.childPath(tr.dataset.path, column));
+      tr.appendChild(td);
     });
 
-    this.allExpanded = expand;
-    this.updateExpandAllButton();
+    return tr;
   }
-}
+
+  markViolations(cell, path) {
+    const messages = this.violations.get(path);
+    if (!messages) return;
+
+    cell.classList.add("schema-invalid");
+    cell.title = messages.join("\n");
+  }
+
+  createSpacer(height) {
+    const tr = document.createElement("tr");
+    tr.className = "virtual-spacer";
+    tr.style.height = `${height}px`;
+
+    const td = document.createElement("td");
+    td.colSpan = this.getVisibleColumns().length + 1;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  scrollToIndex(index) {
+    const position = this.visibleRows.findIndex((row) => row.index === index);
+    if (position !== -1 && this.virtual?.container) {
+      this.virtual.scrollToIndex(position);
+    }
+  }
+
+  setWindowed(windowed) {
+    this.virtual?.setWindowed(windowed);
+  }
+
+  renderHead() {
+    const headerRow = document.createElement("tr");
+    const filterRow = document.createElement("tr");
+    filterRow.className = "filter-row";
+
+    const numberHeader = document.createElement("th");
+    numberHeader.style.width = "40px";
+    numberHeader.textContent = "#";
+    headerRow.appendChild(numberHeader);
+    filterRow.appendChild(document.createElement("th"));
+
+    this.getVisibleColumns().forEach((column) => {
+      const th = this.createColumnHeader(column);
+      th.classList.add("sortable");
+      th.tabIndex = 0;
+
+      if (this.sort?.column === column) {
+        th.dataset.sort = this.sort.direction === 1 ? "asc" : "desc";
+        th.setAttribute(
+          "aria-sort",
+          this.sort.direction === 1 ? "ascending" : "descending",
+        );
+      }
+
+      th.addEventListener("click", () => this.toggleSort(column));
+      th.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" || event.key === " ") {
+          event.preventDefault();
+          this.toggleSort(column);
+        }
+      });
+      headerRow.appendChild(th);
+
+      const filterCell = document.createElement("th");
+      const input = document.createElement("input");
+      input.type = "search";
+      input.className = "column-filter";
+      input.placeholder = "= value, > 10";
+      input.value = this.columnFilters.get(column) ?? "";
+      input.setAttribute("aria-label", `Filter ${column}`);
+      input.addEventListener("input", () => {
+        this.columnFilters.set(column, input.value);
+        this.refreshBody();
+      });
+      filterCell.appendChild(input);
+      filterRow.appendChild(filterCell);
+    });
+
+    this.head.append(headerRow, filterRow);
+  }
+
+  createColumnHeader(column) {
+    const th = document.createElement("th");
+    const type = this.columnTypes.get(column);
+    const badge = document.createElement("span");
+    badge.className = `type-badge type-${type}`;
+    badge.textContent = type;
+
+    th.dataset.column = column;
+    th.append(document.createTextNode(column), badge);
+    return th;
+  }
+
+  renderTransposed(visibleRows) {
+    this.head.innerHTML = "";
+    this.body.innerHTML = "";
+
+    const headerRow = document.createElement("tr");
+    const corner = document.createElement("th");
+    corner.textContent = "Field";
+    headerRow.appendChild(corner);
+
+    visibleRows.forEach(({ index }) => {
+      const th = document.createElement("th");
+      th.className = "row-number";
+      th.dataset.path = ToonSourceMap.childPath(this.path, index);
+      th.textContent = `#${index + 1}`;
+      headerRow.appendChild(th);
+    });
+    this.head.appendChild(headerRow);
+
+    this.getVisibleColumns().forEach((column) => {
+      const tr = document.createElement("tr");
+      tr.appendChild(this.createColumnHeader(column));
+
+      visibleRows.forEach(({ row, index }) => {
+        const td = document.createElement("td");
+        td.dataset.path = ToonSourceMap.childPath(this.path, index);
+        td.dataset.column = column;
+        this.search.render(td, this.formatValue(row[column]), "value");
+        this.markViolations(
+          td,
+          ToonSourceMap.childPath(td.dataset.path, column),
+        );
+        tr.appendChild(td);
+      });
+
+      this.body.appendChild(tr);
+    });
+  }
+
+  renderProfile() {
+    this.profile ??= ToonParser.profileColumns(this.rows);
+
+    const table = document.createElement("table");
+    table.className = "profile-table";
+    const headerRow = document.createElement("tr");
+    [
+      "Column",
+      "Type",
+      "Nulls",
+      "Distinct",
+      "Min",
+      "Max",
+      "Mean",
+      "Length",
+      "Top values",
+    ].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+    const thead = document.createElement("thead");
+    thead.appendChild(headerRow);
+
+    const tbody = document.createElement("tbody");
+    this.profile.forEach((profile) => {
+      const row = document.createElement("tr");
+      const cells = [
+        profile.column,
+        profile.mixed ? "⚠ mixed" : profile.type,
+        `${profile.nulls} (${profile.nullPercent.toFixed(1)}%)`,
+        profile.distinct,
+        profile.min ?? "",
+        profile.max ?? "",
+        profile.mean === null ? "" : Number(profile.mean.toFixed(2)),
+        profile.minLength === null
+          ? ""
+          : `${profile.minLength}–${profile.maxLength}`,
+        profile.top
+          .map(({ value, count }) => `${this.formatValue(value)} ×${count}`)
+          .join(", "),
+      ].map((value) => {
+        const td = document.createElement("td");
+        td.textContent = value;
+        return td;
+      });
+
+      if (profile.mixed) {
+        cells[1].className = "profile-warning";
+        cells[1].title = Object.entries(profile.types)
+          .map(([type, count]) => `${type}: ${count}`)
+          .join(", ");
+      }
+
+      row.append(...cells);
+      tbody.appendChild(row);
+    });
+
+    table.append(thead, tbody);
+    return table;
+  }
+
+  getVisibleColumns() {
+    return this.columns.filter((column) => !this.hidden.has(column));
+  }
+
+  getVisibleRows() {
+    const conditions = [
+      ...this.parseQuery(this.query),
+      ...Array.from(this.columnFilters, ([column, text]) =>
+        text.trim() ? this.compileFilter(text, column) : null,
+      ),
+    ].filter(Boolean);
+
+    const visibleRows = this.rows
+      .map((row, index) => ({ row, index }))
+      .filter(({ row }) => conditions.every((test) => test(row)));
+
+    if (this.sort) {
+      const { column, direction } = this.sort;
+      visibleRows.sort((a, b) => {
+        const x = a.row[column] ?? null;
+        const y = b.row[column] ?? null;
+        if ((x === null) !== (y === null)) return x === null ? 1 : -1;
+        return direction * this.compareValues(x, y) || a.index - b.index;
+      });
+    }
+
+    return visibleRows;
+  }
+
+  parseQuery(query) {
+    return query
+      .split(/\s+(?:and|&&)\s+/i)
+      .map((clause) => clause.trim())
+      .filter(Boolean)
+      .map((clause) => {
+        const match = clause.match(/^(.+?)\s*(!=|>=|<=|=|>|<)(.*)$/);
+        const column = match?.[1].trim();
+
+        if (match && this.columns.includes(column)) {
+          return this.compileFilter(`${match[2]}${match[3]}`, column);
+        }
+
+        const needle = clause.toLowerCase();
+        return (row) =>
+          this.getVisibleColumns().some((name) =>
+            this.formatValue(row[name]).toLowerCase().includes(needle),
+          );
+      });
+  }
+
+  compileFilter(text, column) {
+    const match = text.trim().match(/^(!=|>=|<=|=|>|<)\s*(.*)$/);
+
+    if (!match) {
+      const needle = text.trim().toLowerCase();
+      return (row) =>
+        this.formatValue(row[column]).toLowerCase().includes(needle);
+    }
+
+    const [, operator, raw] = match;
+    const expected = this.parseFilterValue(raw);
+
+    return (row) => {
+      const actual = row[column] ?? null;
+      const comparable = this.typeOf(actual) === this.typeOf(expected);
+      const order = this.compareValues(actual, expected);
+
+      switch (operator) {
+        case "=":
+          return comparable && order === 0;
+        case "!=":
+          return !comparable || order !== 0;
+        case ">":
+          return comparable && order > 0;
+        case ">=":
+          return comparable && order >= 0;
+        case "<":
+          return comparable && order < 0;
+        default:
+          return comparable && order <= 0;
+      }
+    };
+  }
+
+  parseFilterValue(raw) {
+    const trimmed = raw.trim();
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return trimmed;
+    }
+  }
+
+  inferType(column) {
+    const types = new Set(
+      this.rows
+        .map((row) => row[column] ?? null)
+        .filter((value) => value !== null)
+        .map((value) => this.typeOf(value)),
+    );
+
+    if (types.size === 0) return "null";
+    return types.size === 1 ? types.values().next().value : "mixed";
+  }
+
+  typeOf(value) {
+    if (value === null || value === undefined) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  compareValues(a, b) {
+    const rank = ["number", "string", "boolean", "null", "array", "object"];
+    const typeA = this.typeOf(a);
+    const typeB = this.typeOf(b);
+
+    if (typeA !== typeB) return rank.indexOf(typeA) - rank.indexOf(typeB);
+    if (typeA === "number" || typeA === "boolean") return Number(a) - Number(b);
+    if (typeA === "null") return 0;
+
+    return this.formatValue(a).localeCompare(this.formatValue(b), undefined, {
+      numeric: true,
+    });
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined) return "null";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+}
+
+class ToonQuery {
+  constructor(expression) {
+    this.expression = expression.trim();
+    this.position = 0;
+    this.steps = this.parseSteps();
+  }
+
+  parseSteps() {
+    const steps = [];
+    if (!this.expression) this.fail("Query is empty");
+
+    while (this.position < this.expression.length) {
+      const char = this.expression[this.position];
+
+      if (char === "[") {
+        steps.push(this.readBracket());
+      } else if (steps.length === 0 || char === ".") {
+        if (steps.length > 0) this.position++;
+        steps.push(this.readName());
+      } else {
+        this.fail(`Unexpected '${char}'`);
+      }
+    }
+
+    return steps;
+  }
+
+  readName() {
+    const rest = this.expression.slice(this.position);
+
+    if (rest.startsWith("**")) {
+      this.position += 2;
+      return { type: "descendants" };
+    }
+    if (rest.startsWith("*")) {
+      this.position++;
+      return { type: "wildcard" };
+    }
+    if (rest.startsWith('"')) {
+      return { type: "key", key: this.readString() };
+    }
+
+    const name = rest.match(/^[^.[\]\s"]+/)?.[0];
+    if (!name) this.fail("Expected a key");
+
+    this.position += name.length;
+    return { type: "key", key: name };
+  }
+
+  readBracket() {
+    this.position++;
+    const rest = this.expression.slice(this.position);
+    let step;
+
+    if (rest.startsWith("*")) {
+      this.position++;
+      step = { type: "wildcard" };
+    } else if (rest.startsWith("?")) {
+      this.position++;
+      step = { type: "filter", test: this.compileFilter(this.readFilter()) };
+    } else if (rest.startsWith('"')) {
+      step = { type: "key", key: this.readString() };
+    } else {
+      const index = rest.match(/^-?\d+/)?.[0];
+      if (!index) this.fail("Expected an index, '*', '?' or a quoted key");
+
+      this.position += index.length;
+      step = { type: "index", index: Number(index) };
+    }
+
+    if (this.expression[this.position] !== "]") this.fail("Expected ']'");
+    this.position++;
+    return step;
+  }
+
+  readString() {
+    const literal = this.expression
+      .slice(this.position)
+      .match(/^"(?:[^"\\]|\\.)*"/)?.[0];
+    if (!literal) this.fail("Unterminated string");
+
+    this.position += literal.length;
+    return JSON.parse(literal);
+  }
+
+  readFilter() {
+    const start = this.position;
+    let depth = 0;
+    let inString = false;
+
+    for (; this.position < this.expression.length; this.position++) {
+      const char = this.expression[this.position];
+
+      if (inString) {
+        if (char === "\\") this.position++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "[") {
+        depth++;
+      } else if (char === "]") {
+        if (depth === 0) return this.expression.slice(start, this.position);
+        depth--;
+      }
+    }
+
+    this.fail("Expected ']'");
+  }
+
+  compileFilter(text) {
+    if (!text.trim()) this.fail("Filter is empty");
+
+    const alternatives = this.splitOutsideStrings(
+      text,
+      /\s+(?:or|\|\|)\s+/iy,
+    ).map((group) =>
+      this.splitOutsideStrings(group, /\s+(?:and|&&)\s+/iy).map((clause) =>
+        this.compileCondition(clause.trim()),
+      ),
+    );
+
+    return (value) =>
+      alternatives.some((conditions) =>
+        conditions.every((test) => test(value)),
+      );
+  }
+
+  splitOutsideStrings(text, separator) {
+    const parts = [];
+    let start = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === "\\") i++;
+        else if (char === quote) quote = null;
+      } else if (
+        (char === '"' || char === "'") &&
+        (i === 0 || /[\s=!<>]/.test(text[i - 1]))
+      ) {
+        quote = char;
+      } else {
+        separator.lastIndex = i;
+        const match = separator.exec(text);
+        if (match) {
+          parts.push(text.slice(start, i));
+          start = i + match[0].length;
+          i = start - 1;
+        }
+      }
+    }
+
+    parts.push(text.slice(start));
+    return parts;
+  }
+
+  compileCondition(clause) {
+    const match = clause.match(/^(.+?)\s*(==|!=|>=|<=|=|>|<)\s*(.+)$/);
+    const read = this.compileOperand(match ? match[1] : clause);
+
+    if (!match) {
+      return (value) => {
+        const actual = read(value);
+        return actual !== undefined && actual !== null && actual !== false;
+      };
+    }
+
+    const operator = match[2];
+    const expected = this.parseLiteral(match[3]);
+
+    return (value) => {
+      const actual = read(value);
+      if (actual === undefined) return false;
+
+      const equal = JSON.stringify(actual) === JSON.stringify(expected);
+      const ordered =
+        typeof actual === typeof expected &&
+        (typeof actual === "number" || typeof actual === "string");
+
+      switch (operator) {
+        case "==":
+        case "=":
+          return equal;
+        case "!=":
+          return !equal;
+        case ">":
+          return ordered && actual > expected;
+        case ">=":
+          return ordered && actual >= expected;
+        case "<":
+          return ordered && actual < expected;
+        default:
+          return ordered && actual <= expected;
+      }
+    };
+  }
+
+  compileOperand(text) {
+    const keys = text.trim().replace(/^@\.?/, "").split(".").filter(Boolean);
+
+    return (value) =>
+      keys.reduce(
+        (current, key) =>
+          current !== null && typeof current === "object"
+            ? current[key]
+            : undefined,
+        value,
+      );
+  }
+
+  parseLiteral(raw) {
+    const trimmed = raw.trim();
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return trimmed.replace(/^'(.*)'$/, "$1");
+    }
+  }
+
+  fail(message) {
+    throw new ToonParseError(
+      `${message} at column ${this.position + 1}`,
+      null,
+      { code: "invalid-query", column: this.position + 1 },
+    );
+  }
+
+  isSingular() {
+    return this.steps.every(({ type }) => type === "key" || type === "index");
+  }
+
+  evaluate(data) {
+    return this.steps.reduce(
+      (nodes, step) => nodes.flatMap((node) => this.apply(step, node)),
+      [{ path: "", value: data }],
+    );
+  }
+
+  apply(step, { path, value }) {
+    const isContainer = value !== null && typeof value === "object";
+
+    switch (step.type) {
+      case "key":
+        return isContainer && Object.hasOwn(value, step.key)
+          ? [this.child(path, value, step.key)]
+          : [];
+      case "index": {
+        if (!Array.isArray(value)) return [];
+
+        const index = step.index < 0 ? value.length + step.index : step.index;
+        return index >= 0 && index < value.length
+          ? [this.child(path, value, index)]
+          : [];
+      }
+      case "wildcard":
+        return isContainer
+          ? Object.keys(value).map((key) => this.child(path, value, key))
+          : [];
+      case "filter":
+        return isContainer
+          ? Object.keys(value)
+              .map((key) => this.child(path, value, key))
+              .filter((node) => step.test(node.value))
+          : [];
+      default:
+        return this.descendants({ path, value });
+    }
+  }
+
+  child(path, value, key) {
+    return { path: ToonSourceMap.childPath(path, key), value: value[key] };
+  }
+
+  descendants(node, nodes = []) {
+    const { path, value } = node;
+    nodes.push(node);
+
+    if (value !== null && typeof value === "object") {
+      Object.keys(value).forEach((key) =>
+        this.descendants(this.child(path, value, key), nodes),
+      );
+    }
+
+    return nodes;
+  }
+}
+
+class ToonDiff {
+  constructor({ key = "" } = {}) {
+    this.key = key.trim();
+  }
+
+  compare(before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      return { status: "unchanged", before, after };
+    }
+    if (this.isObject(before) && this.isObject(after)) {
+      return this.compareObjects(before, after);
+    }
+    if (Array.isArray(before) && Array.isArray(after)) {
+      return this.compareArrays(before, after);
+    }
+    return { status: "changed", before, after };
+  }
+
+  compareObjects(before, after) {
+    const keys = [
+      ...Object.keys(after),
+      ...Object.keys(before).filter((key) => !Object.hasOwn(after, key)),
+    ];
+
+    return {
+      status: "changed",
+      type: "object",
+      before,
+      after,
+      children: keys.map((key) => ({
+        key,
+        node: this.compareEntry(before, after, key),
+      })),
+    };
+  }
+
+  compareArrays(before, after) {
+    const isTable = [...before, ...after].every((item) => this.isObject(item));
+    const pairs = (isTable ? this.matchByKey(before, after) : null) ?? [
+      ...after.map((_, index) => [index, index]),
+      ...before.slice(after.length).map((_, offset) => {
+        const index = after.length + offset;
+        return [index, null];
+      }),
+    ];
+
+    return {
+      status: "changed",
+      type: isTable ? "table" : "array",
+      before,
+      after,
+      children: pairs.map(([beforeIndex, afterIndex]) => ({
+        key: afterIndex ?? beforeIndex,
+        node: this.compareItems(before, after, beforeIndex, afterIndex),
+      })),
+    };
+  }
+
+  matchByKey(before, after) {
+    const { key } = this;
+    if (!key) return null;
+
+    const indexByKey = (rows) => {
+      const index = new Map();
+      for (const [position, row] of rows.entries()) {
+        const value = row[key];
+        if (value === null || typeof value === "object") return null;
+
+        const id = JSON.stringify(value);
+        if (value === undefined || index.has(id)) return null;
+        index.set(id, position);
+      }
+      return index;
+    };
+
+    const beforeIndex = indexByKey(before);
+    const afterIndex = indexByKey(after);
+    if (!beforeIndex || !afterIndex) return null;
+
+    return [
+      ...Array.from(afterIndex, ([id, position]) => [
+        beforeIndex.get(id) ?? null,
+        position,
+      ]),
+      ...Array.from(beforeIndex)
+        .filter(([id]) => !afterIndex.has(id))
+        .map(([, position]) => [position, null]),
+    ];
+  }
+
+  compareEntry(before, after, key) {
+    if (!Object.hasOwn(before, key)) {
+      return { status: "added", after: after[key] };
+    }
+    if (!Object.hasOwn(after, key)) {
+      return { status: "removed", before: before[key] };
+    }
+    return this.compare(before[key], after[key]);
+  }
+
+  compareItems(before, after, beforeIndex, afterIndex) {
+    if (beforeIndex === null || beforeIndex >= before.length) {
+      return { status: "added", after: after[afterIndex] };
+    }
+    if (afterIndex === null) {
+      return { status: "removed", before: before[beforeIndex] };
+    }
+    return this.compare(before[beforeIndex], after[afterIndex]);
+  }
+
+  static summarize(node) {
+    const counts = { added: 0, removed: 0, changed: 0 };
+
+    const visit = ({ status, children }) => {
+      if (status === "unchanged") return;
+      if (status !== "changed" || !children) {
+        counts[status]++;
+        return;
+      }
+      children.forEach((child) => visit(child.node));
+    };
+
+    visit(node);
+    return counts;
+  }
+
+  isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+}
+
+class ToonSchemaValidator {
+  validate(data, schema) {
+    if (typeof schema !== "boolean" && !this.isObject(schema)) {
+      throw new TypeError("Schema must be an object or a boolean");
+    }
+
+    const violations = [];
+    this.check(data, schema, "", violations);
+    return violations;
+  }
+
+  check(value, schema, path, violations) {
+    const report = (keyword, message) =>
+      violations.push({ path, keyword, message });
+
+    if (schema === true) return;
+    if (schema === false) {
+      report("false", "No value is allowed here");
+      return;
+    }
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some((type) => this.hasType(value, type))) {
+        report(
+          "type",
+          `Expected ${types.join(" or ")}, got ${this.typeOf(value)}`,
+        );
+      }
+    }
+
+    if (
+      schema.enum !== undefined &&
+      !schema.enum.some((option) => this.isEqual(option, value))
+    ) {
+      report(
+        "enum",
+        `Must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`,
+      );
+    }
+    if (schema.const !== undefined && !this.isEqual(schema.const, value)) {
+      report("const", `Must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === "number") {
+      this.checkNumber(value, schema, report);
+    } else if (typeof value === "string") {
+      this.checkString(value, schema, report);
+    } else if (Array.isArray(value)) {
+      this.checkArray(value, schema, path, violations, report);
+    } else if (this.isObject(value)) {
+      this.checkObject(value, schema, path, violations, report);
+    }
+  }
+
+  checkNumber(value, schema, report) {
+    const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema;
+
+    if (minimum !== undefined && value < minimum) {
+      report("minimum", `Must be at least ${minimum}`);
+    }
+    if (maximum !== undefined && value > maximum) {
+      report("maximum", `Must be at most ${maximum}`);
+    }
+    if (exclusiveMinimum !== undefined && value <= exclusiveMinimum) {
+      report("exclusiveMinimum", `Must be greater than ${exclusiveMinimum}`);
+    }
+    if (exclusiveMaximum !== undefined && value >= exclusiveMaximum) {
+      report("exclusiveMaximum", `Must be less than ${exclusiveMaximum}`);
+    }
+  }
+
+  checkString(value, schema, report) {
+    const length = Array.from(value).length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      report("minLength", `Must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      report("maxLength", `Must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined) {
+      let pattern;
+      try {
+        pattern = new RegExp(schema.pattern, "u");
+      } catch {
+        report("pattern", `Schema pattern /${schema.pattern}/ is invalid`);
+        return;
+      }
+      if (!pattern.test(value)) {
+        report("pattern", `Must match /${schema.pattern}/`);
+      }
+    }
+  }
+
+  checkArray(value, schema, path, violations, report) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report("minItems", `Must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report("maxItems", `Must have at most ${schema.maxItems} items`);
+    }
+
+    const prefixItems = Array.isArray(schema.items)
+      ? schema.items
+      : (schema.prefixItems ?? []);
+    const items = Array.isArray(schema.items)
+      ? schema.additionalItems
+      : schema.items;
+
+    value.forEach((item, index) => {
+      const itemSchema =
+        index < prefixItems.length ? prefixItems[index] : items;
+      if (itemSchema !== undefined) {
+        this.check(
+          item,
+          itemSchema,
+          ToonSourceMap.childPath(path, index),
+          violations,
+        );
+      }
+    });
+  }
+
+  checkObject(value, schema, path, violations, report) {
+    const properties = schema.properties ?? {};
+
+    (schema.required ?? []).forEach((key) => {
+      if (!Object.hasOwn(value, key)) {
+        report("required", `Missing required property "${key}"`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = ToonSourceMap.childPath(path, key);
+
+      if (Object.hasOwn(properties, key)) {
+        this.check(child, properties[key], childPath, violations);
+      } else if (schema.additionalProperties === false) {
+        violations.push({
+          path: childPath,
+          keyword: "additionalProperties",
+          message: `Property "${key}" is not allowed`,
+        });
+      } else if (schema.additionalProperties !== undefined) {
+        this.check(child, schema.additionalProperties, childPath, violations);
+      }
+    });
+  }
+
+  hasType(value, type) {
+    switch (type) {
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number";
+      case "array":
+        return Array.isArray(value);
+      case "object":
+        return this.isObject(value);
+      case "null":
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+  }
+
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+}
+
+class ToonSchemaStore {
+  constructor(storage = null, key = "toon-visualizer.schemas") {
+    this.storage = storage;
+    this.key = key;
+  }
+
+  getStorage() {
+    if (this.storage) return this.storage;
+    try {
+      return globalThis.localStorage ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  list() {
+    return Object.keys(this.read()).sort();
+  }
+
+  get(name) {
+    return this.read()[name] ?? null;
+  }
+
+  save(name, schema) {
+    this.write({ ...this.read(), [name]: schema });
+  }
+
+  remove(name) {
+    const { [name]: _removed, ...schemas } = this.read();
+    this.write(schemas);
+  }
+
+  read() {
+    try {
+      return JSON.parse(this.getStorage()?.getItem(this.key) ?? "{}");
+    } catch {
+      return {};
+    }
+  }
+
+  write(schemas) {
+    const storage = this.getStorage();
+    if (!storage) throw new Error("Local storage is not available");
+    storage.setItem(this.key, JSON.stringify(schemas));
+  }
+}
+
+class ToonPermalink {
+  constructor(param = "toon") {
+    this.param = param;
+  }
+
+  async createUrl(input, format = "auto", base = location.href) {
+    const params = new URLSearchParams({
+      [this.param]: await this.encode(input),
+    });
+    if (format !== "auto") params.set("format", format);
+
+    const url = new URL(base);
+    url.hash = params.toString();
+    return url.toString();
+  }
+
+  read(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    const payload = params.get(this.param);
+    if (!payload) return null;
+
+    return { payload, format: params.get("format") ?? "auto" };
+  }
+
+  async encode(text) {
+    const bytes = await this.transform(
+      new TextEncoder().encode(text),
+      this.createStream(globalThis.CompressionStream),
+    );
+
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  async decode(payload) {
+    const binary = atob(payload.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(
+      await this.transform(
+        bytes,
+        this.createStream(globalThis.DecompressionStream),
+      ),
+    );
+  }
+
+  createStream(Stream) {
+    if (!Stream) {
+      throw new Error("This browser cannot compress links");
+    }
+    return new Stream("deflate");
+  }
+
+  async transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+  }
+}
+
+class ToonHistoryStore {
+  constructor(
+    storage = null,
+    key = "toon-visualizer.history",
+    draftKey = "toon-visualizer.draft",
+  ) {
+    this.storage = storage;
+    this.key = key;
+    this.draftKey = draftKey;
+    this.limit = 30;
+    this.maxInputLength = 200000;
+  }
+
+  getStorage() {
+    if (this.storage) return this.storage;
+    try {
+      return globalThis.localStorage ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  list(query = "") {
+    const needle = query.trim().toLowerCase();
+    return this.read()
+      .filter(
+        ({ name, input }) =>
+          !needle ||
+          name.toLowerCase().includes(needle) ||
+          input.toLowerCase().includes(needle),
+      )
+      .sort((a, b) => b.pinned - a.pinned || b.savedAt - a.savedAt);
+  }
+
+  add({ input, format = "auto", name = "" }) {
+    if (input.length > this.maxInputLength) return null;
+
+    const entries = this.read();
+    const existing = entries.find(
+      (entry) => entry.input === input && entry.format === format,
+    );
+    const entry = existing ?? {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: name || "Untitled",
+      input,
+      format,
+      pinned: false,
+    };
+    entry.savedAt = Date.now();
+
+    const others = entries.filter((item) => item !== entry);
+    const unpinned = others
+      .filter((item) => !item.pinned)
+      .sort((a, b) => b.savedAt - a.savedAt)
+      .slice(0, this.limit - 1);
+    this.write([entry, ...others.filter((item) => item.pinned), ...unpinned]);
+    return entry;
+  }
+
+  get(id) {
+    return this.read().find((entry) => entry.id === id) ?? null;
+  }
+
+  update(id, changes) {
+    this.write(
+      this.read().map((entry) =>
+        entry.id === id ? { ...entry, ...changes } : entry,
+      ),
+    );
+  }
+
+  remove(id) {
+    this.write(this.read().filter((entry) => entry.id !== id));
+  }
+
+  getDraft() {
+    try {
+      return JSON.parse(this.getStorage()?.getItem(this.draftKey) ?? "null");
+    } catch {
+      return null;
+    }
+  }
+
+  saveDraft(draft) {
+    const storage = this.getStorage();
+    if (!storage || draft.input.length > this.maxInputLength) return;
+
+    try {
+      storage.setItem(this.draftKey, JSON.stringify(draft));
+    } catch {
+      storage.removeItem(this.draftKey);
+    }
+  }
+
+  clearDraft() {
+    this.getStorage()?.removeItem(this.draftKey);
+  }
+
+  read() {
+    try {
+      const entries = JSON.parse(this.getStorage()?.getItem(this.key) ?? "[]");
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  }
+
+  write(entries) {
+    const storage = this.getStorage();
+    if (!storage) throw new Error("Local storage is not available");
+    storage.setItem(this.key, JSON.stringify(entries));
+  }
+}
+
+class ToonSearch {
+  constructor() {
+    this.pattern = null;
+    this.scope = "both";
+    this.texts = new WeakMap();
+  }
+
+  configure({
+    query = "",
+    scope = "both",
+    caseSensitive = false,
+    regex = false,
+  }) {
+    this.scope = scope;
+    this.pattern = null;
+    if (!query) return;
+
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    this.pattern = new RegExp(source, caseSensitive ? "g" : "gi");
+  }
+
+  isActive() {
+    return this.pattern !== null;
+  }
+
+  includes(target) {
+    return this.scope === "both" || this.scope === `${target}s`;
+  }
+
+  test(text, target) {
+    if (!this.pattern || !this.includes(target)) return false;
+
+    for (const match of text.matchAll(this.pattern)) {
+      if (match[0] !== "") return true;
+    }
+    return false;
+  }
+
+  find(data) {
+    const matches = [];
+    if (!this.pattern) return matches;
+
+    const visit = (value, path) => {
+      if (value === null || typeof value !== "object") {
+        if (this.test(this.formatValue(value), "value")) {
+          matches.push({ path, target: "value" });
+        }
+        return;
+      }
+
+      const isArray = Array.isArray(value);
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = ToonSourceMap.childPath(path, key);
+        if (!isArray && this.test(key, "key")) {
+          matches.push({ path: childPath, target: "key" });
+        }
+        visit(child, childPath);
+      });
+    };
+
+    visit(data, "");
+    return matches;
+  }
+
+  render(element, text, target, { quote = false } = {}) {
+    element.dataset.search = target;
+    this.texts.set(element, { text, quote });
+    this.paint(element);
+  }
+
+  paint(element) {
+    const { text, quote } = this.texts.get(element);
+    const target = element.dataset.search;
+
+    if (!this.test(text, target)) {
+      element.textContent = quote ? JSON.stringify(text) : text;
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    let offset = 0;
+
+    for (const match of text.matchAll(this.pattern)) {
+      if (match[0] === "") continue;
+
+      fragment.append(text.slice(offset, match.index));
+      const mark = document.createElement("mark");
+      mark.className = "search-hit";
+      mark.textContent = match[0];
+      fragment.append(mark);
+      offset = match.index + match[0].length;
+    }
+    fragment.append(text.slice(offset));
+
+    element.replaceChildren(...(quote ? ['"', fragment, '"'] : [fragment]));
+  }
+
+  refresh(container) {
+    container
+      .querySelectorAll("[data-search]")
+      .forEach((element) => this.paint(element));
+  }
+
+  formatValue(value) {
+    return value === null || value === undefined ? "null" : String(value);
+  }
+}
+
+class ToonRenderer {
+  constructor(exporter = new ToonExporter(), search = new ToonSearch()) {
+    this.allExpanded = false;
+    this.exporter = exporter;
+    this.search = search;
+    this.violations = new Map();
+    this.editable = false;
+    this.renderedSections = new Map();
+    this.lazyContent = new WeakMap();
+    this.windowedViews = new Map();
+    this.expandedPaths = new Set();
+    this.windowThreshold = 200;
+  }
+
+  render(data, container, stats) {
+    container.innerHTML = "";
+    this.renderedSections = new Map();
+    this.windowedViews = new Map();
+    this.expandedPaths = new Set();
+
+    if (Array.isArray(data)) {
+      container.appendChild(this.renderRootArray(data));
+    } else if (typeof data !== "object" || data === null) {
+      container.appendChild(this.createValueCard(data));
+    } else if (Object.keys(data).length === 0) {
+      this.renderEmptyState(container);
+      return;
+    } else {
+      this.renderSections(data, container);
+    }
+
+    this.renderStats(stats);
+    this.updateExpandAllButton();
+  }
+
+  renderSections(data, container) {
+    Object.entries(data).forEach(([key, value]) => {
+      const section = this.createSection(
+        key,
+        value,
+        ToonSourceMap.childPath("", key),
+      );
+      if (section) {
+        container.appendChild(section);
+        this.renderedSections.set(key, {
+          section,
+          snapshot: JSON.stringify(value),
+        });
+      }
+    });
+  }
+
+  patch(data, container, stats) {
+    if (
+      this.renderedSections.size === 0 ||
+      typeof data !== "object" ||
+      data === null ||
+      Array.isArray(data) ||
+      Object.keys(data).length === 0
+    ) {
+      this.render(data, container, stats);
+      return;
+    }
+
+    const nextSections = new Map();
+    const reused = new Set();
+    let previous = null;
+
+    Object.entries(data).forEach(([key, value]) => {
+      const snapshot = JSON.stringify(value);
+      const existing = this.renderedSections.get(key);
+      let section;
+
+      if (existing && existing.snapshot === snapshot) {
+        section = existing.section;
+        reused.add(section);
+      } else {
+        const path = ToonSourceMap.childPath("", key);
+        if (existing) this.dropWindowedViews(path);
+        section = this.createSection(key, value, path);
+        if (existing) this.copyExpandedState(existing.section, section);
+      }
+
+      const reference = previous ? previous.nextSibling : container.firstChild;
+      if (section !== reference) container.insertBefore(section, reference);
+
+      previous = section;
+      nextSections.set(key, { section, snapshot });
+    });
+
+    this.renderedSections.forEach(({ section }, key) => {
+      if (reused.has(section)) return;
+
+      section.remove();
+      if (!nextSections.has(key)) {
+        this.dropWindowedViews(ToonSourceMap.childPath("", key));
+      }
+    });
+    this.renderedSections = nextSections;
+
+    this.renderStats(stats);
+    this.updateExpandAllButton();
+  }
+
+  dropWindowedViews(path) {
+    this.windowedViews.forEach((_, viewPath) => {
+      if (viewPath === path || viewPath.startsWith(`${path}/`)) {
+        this.windowedViews.delete(viewPath);
+      }
+    });
+  }
+
+  copyExpandedState(fromSection, toSection) {
+    const fromContent = fromSection.querySelector(":scope > .section-content");
+    const toContent = toSection.querySelector(":scope > .section-content");
+    const toIcon = toSection.querySelector(
+      ":scope > .section-header .toggle-icon",
+    );
+
+    if (!fromContent || !toContent || !toIcon) return;
+
+    this.setExpanded(toContent, fromContent.classList.contains("show"));
+  }
+
+  createSection(key, value, path = "") {
+    const section = document.createElement("div");
+    section.className = "toon-section";
+    section.dataset.path = path;
+
+    const { meta, isCollapsible } = this.getSectionMeta(value);
+    const header = this.createHeader(key, meta, isCollapsible);
+    const content = this.createContent(key, value, path, isCollapsible);
+
+    if (this.editable && isCollapsible) {
+      if (!Array.isArray(value)) {
+        header.firstElementChild.appendChild(
+          this.createEditButton("add-key", path, "+", "Add key"),
+        );
+      }
+      header.firstElementChild.appendChild(
+        this.createEditButton("remove", path, "×", "Remove"),
+      );
+    }
+
+    if (isCollapsible) {
+      this.makeCollapsible(header, content);
+      this.annotate(section, path, header.firstElementChild);
+      section.appendChild(header);
+    }
+
+    section.appendChild(content);
+    if (!isCollapsible) content.classList.add("show");
+    if (isCollapsible && this.expandedPaths.has(path)) {
+      this.setExpanded(content, true);
+    }
+
+    return section;
+  }
+
+  getSectionMeta(value) {
+    if (Array.isArray(value)) {
+      if (this.isTabular(value)) {
+        const allKeys = new Set(value.flatMap((item) => Object.keys(item)));
+        return {
+          meta: `[${value.length}] rows × ${allKeys.size} fields`,
+          isCollapsible: true,
+        };
+      }
+      return {
+        meta: `[${value.length}] items`,
+        isCollapsible: true,
+      };
+    }
+
+    if (typeof value === "object" && value !== null) {
+      const fieldCount = Object.keys(value).length;
+      return {
+        meta: `${fieldCount} field${fieldCount !== 1 ? "s" : ""}`,
+        isCollapsible: true,
+      };
+    }
+
+    return { meta: "", isCollapsible: false };
+  }
+
+  createHeader(key, meta, isCollapsible) {
+    const header = document.createElement("div");
+    header.className = "section-header";
+
+    const title = document.createElement("div");
+    const name = document.createElement("span");
+    name.className = "section-name";
+    this.search.render(name, key, "key");
+    title.appendChild(name);
+
+    if (meta) {
+      const metaSpan = document.createElement("span");
+      metaSpan.className = "section-meta";
+      metaSpan.textContent = meta;
+      title.appendChild(metaSpan);
+    }
+    header.appendChild(title);
+
+    if (isCollapsible) {
+      const icon = document.createElement("span");
+      icon.className = "toggle-icon";
+      icon.textContent = "▼";
+      header.appendChild(icon);
+    }
+
+    return header;
+  }
+
+  createContent(key, value, path, isCollapsible) {
+    const content = document.createElement("div");
+    content.className = `section-content ${isCollapsible ? "" : "show"}`;
+
+    if (Array.isArray(value)) {
+      this.lazyContent.set(content, () => this.renderArray(value, key, path));
+    } else if (typeof value === "object" && value !== null) {
+      this.lazyContent.set(content, () => this.renderObject(value, path));
+    } else {
+      return this.renderField(key, value, path);
+    }
+
+    return content;
+  }
+
+  renderRootArray(array) {
+    if (array.length === 0) {
+      return this.createEmptyState("[ ]", "Empty array");
+    }
+
+    const root = document.createElement("div");
+    root.className = "root-array";
+    root.dataset.path = "";
+
+    const { meta } = this.getSectionMeta(array);
+    const header = document.createElement("div");
+    header.className = "array-meta";
+    header.textContent = meta;
+
+    root.append(header, this.renderArray(array, "data", ""));
+    this.annotate(root, "", header);
+    return root;
+  }
+
+  createValueCard(value) {
+    const card = document.createElement("div");
+    card.className = "value-card";
+    card.dataset.path = "";
+
+    const type = document.createElement("span");
+    type.className = "badge";
+    type.textContent = value === null ? "null" : typeof value;
+
+    card.append(this.createValue(value), type);
+    this.annotate(card, "");
+    return card;
+  }
+
+  renderArray(array, key, path = "") {
+    if (this.isTabular(array)) {
+      return this.renderTabularArray(array, key, path);
+    } else {
+      return this.renderSimpleArray(array, path);
+    }
+  }
+
+  isTabular(array) {
+    return ToonParser.isTabular(array);
+  }
+
+  renderTabularArray(array, key = "table", path = "") {
+    const table = new ToonTable(array, {
+      key,
+      path,
+      search: this.search,
+      violations: this.violations,
+      editable: this.editable,
+    });
+    this.windowedViews.set(path, table);
+    return table.render(this.createTableActions(array, key, path));
+  }
+
+  createTableActions(array, key, path = "") {
+    const actions = document.createElement("div");
+    actions.className = "table-actions";
+
+    if (this.editable) {
+      const addRow = this.createEditButton("add-row", path, "+ Row", "Add row");
+      addRow.className = "btn-small";
+      actions.appendChild(addRow);
+    }
+
+    [
+      { label: "CSV", delimiter: ",", extension: "csv", mime: "text/csv" },
+      {
+        label: "TSV",
+        delimiter: "\t",
+        extension: "tsv",
+        mime: "text/tab-separated-values",
+      },
+    ].forEach(({ label, delimiter, extension, mime }) => {
+      const button = document.createElement("button");
+      button.className = "btn-small";
+      button.textContent = `↓ ${label}`;
+      button.addEventListener("click", () => {
+        this.exporter.download(
+          `${key}.${extension}`,
+          this.exporter.toDelimited(array, delimiter),
+          mime,
+        );
+      });
+      actions.appendChild(button);
+    });
+
+    return actions;
+  }
+
+  renderSimpleArray(array, path = "") {
+    const arrayDiv = document.createElement("div");
+    arrayDiv.className = "array-container";
+
+    const createItem = (index) => {
+      const item = array[index];
+      if (typeof item === "object" && item !== null) {
+        return this.createSection(
+          String(index),
+          item,
+          ToonSourceMap.childPath(path, index),
+        );
+      }
+
+      const fieldItem = document.createElement("div");
+      fieldItem.className = "field-item";
+      fieldItem.dataset.path = ToonSourceMap.childPath(path, index);
+
+      const keySpan = document.createElement("span");
+      keySpan.className = "field-key";
+      keySpan.textContent = index;
+      fieldItem.append(keySpan, this.createValue(item));
+      if (this.editable) {
+        fieldItem.appendChild(
+          this.createEditButton(
+            "remove",
+            fieldItem.dataset.path,
+            "×",
+            "Remove item",
+          ),
+        );
+      }
+      this.annotate(fieldItem, fieldItem.dataset.path);
+      return fieldItem;
+    };
+
+    if (array.length <= this.windowThreshold) {
+      array.forEach((_, index) => arrayDiv.appendChild(createItem(index)));
+      return arrayDiv;
+    }
+
+    const list = document.createElement("div");
+    arrayDiv.classList.add("windowed");
+    arrayDiv.appendChild(list);
+
+    const virtual = new ToonVirtualList(arrayDiv);
+    virtual.attach(list, array.length, createItem, (height) => {
+      const spacer = document.createElement("div");
+      spacer.className = "virtual-spacer";
+      spacer.style.height = `${height}px`;
+      return spacer;
+    });
+    this.windowedViews.set(path, virtual);
+
+    return arrayDiv;
+  }
+
+  renderObject(obj, path) {
+    const container = document.createElement("div");
+
+    Object.entries(obj).forEach(([nestedKey, nestedValue]) => {
+      const nestedPath = ToonSourceMap.childPath(path, nestedKey);
+
+      if (
+        Array.isArray(nestedValue) ||
+        (typeof nestedValue === "object" && nestedValue !== null)
+      ) {
+        const nestedSection = this.createSection(
+          nestedKey,
+          nestedValue,
+          nestedPath,
+        );
+        container.appendChild(nestedSection);
+      } else {
+        container.appendChild(
+          this.renderField(nestedKey, nestedValue, nestedPath),
+        );
+      }
+    });
+
+    return container;
+  }
+
+  renderField(key, value, path = null) {
+    const fieldItem = document.createElement("div");
+    fieldItem.className = "field-item";
+    if (path !== null) fieldItem.dataset.path = path;
+
+    const keySpan = document.createElement("span");
+    keySpan.className = "field-key";
+    this.search.render(keySpan, key, "key");
+    fieldItem.append(keySpan, this.createValue(value));
+    if (this.editable && path !== null) {
+      fieldItem.appendChild(
+        this.createEditButton("remove", path, "×", "Remove key"),
+      );
+    }
+    if (path !== null) this.annotate(fieldItem, path);
+    return fieldItem;
+  }
+
+  createEditButton(action, path, label, title) {
+    const button = document.createElement("button");
+    button.className = "edit-btn";
+    button.dataset.edit = action;
+    button.dataset.path = path;
+    button.title = title;
+    button.textContent = label;
+    return button;
+  }
+
+  annotate(element, path, target = element) {
+    const messages = this.violations.get(path);
+    if (!messages) return;
+
+    const message = document.createElement("span");
+    message.className = "schema-message";
+    message.textContent = messages.join("; ");
+
+    element.classList.add("schema-invalid");
+    target.appendChild(message);
+  }
+
+  createValue(value) {
+    const valueSpan = document.createElement("span");
+    valueSpan.className = "field-value";
+
+    if (typeof value === "string") {
+      this.search.render(valueSpan, value, "value", { quote: true });
+    } else {
+      this.search.render(valueSpan, JSON.stringify(value), "value");
+    }
+    return valueSpan;
+  }
+
+  revealPath(container, path) {
+    let current = "";
+    let element = null;
+
+    container
+      .querySelectorAll(".source-active")
+      .forEach((node) => node.classList.remove("source-active"));
+
+    for (const segment of path.split("/").slice(1)) {
+      this.windowedViews.get(current)?.scrollToIndex(Number(segment));
+
+      current = `${current}/${segment}`;
+      const next = container.querySelector(
+        `[data-path="${CSS.escape(current)}"]`,
+      );
+      if (!next) break;
+
+      element = next;
+      const content = element.querySelector(":scope > .section-content");
+      if (content) this.setExpanded(content, true);
+    }
+
+    if (!element) return null;
+
+    element.classList.add("source-active");
+    element.scrollIntoView({ block: "nearest" });
+    this.updateExpandAllButton();
+    return element;
+  }
+
+  makeCollapsible(header, content) {
+    header.addEventListener("click", (event) => {
+      if (event.target.closest("[data-edit]")) return;
+      this.setExpanded(content, !content.classList.contains("show"));
+      this.updateExpandAllButton();
+    });
+  }
+
+  setExpanded(content, expand) {
+    if (expand) this.materialize(content);
+
+    content.classList.toggle("show", expand);
+    const section = content.parentElement;
+    section
+      .querySelector(":scope > .section-header .toggle-icon")
+      ?.classList.toggle("expanded", expand);
+
+    const { path } = section.dataset;
+    if (path === undefined) return;
+    if (expand) {
+      this.expandedPaths.add(path);
+    } else {
+      this.expandedPaths.delete(path);
+    }
+  }
+
+  materialize(content) {
+    const populate = this.lazyContent.get(content);
+    if (!populate) return false;
+
+    this.lazyContent.delete(content);
+    content.appendChild(populate());
+    return true;
+  }
+
+  materializeAll(container) {
+    const contents = Array.from(container.querySelectorAll(".section-content"));
+
+    for (let i = 0; i < contents.length; i++) {
+      if (this.materialize(contents[i])) {
+        contents.push(...contents[i].querySelectorAll(".section-content"));
+      }
+    }
+  }
+
+  setWindowed(windowed) {
+    this.windowedViews.forEach((view) => view.setWindowed(windowed));
+  }
+
+  renderDiff(diff, container, { changesOnly = false } = {}) {
+    container.innerHTML = "";
+    this.renderedSections = new Map();
+    this.windowedViews = new Map();
+    this.expandedPaths = new Set();
+
+    if (diff.type !== "object" && !this.isObjectRoot(diff)) {
+      container.replaceChildren(
+        changesOnly && diff.status === "unchanged"
+          ? this.createEmptyState("✓", "No differences")
+          : this.createDiffRoot(diff, changesOnly),
+      );
+      document.getElementById("statsContainer").style.display = "none";
+      this.updateExpandAllButton();
+      return;
+    }
+
+    const children =
+      diff.type === "object"
+        ? diff.children
+        : Object.keys(diff.after).map((key) => ({
+            key,
+            node: { status: "unchanged", after: diff.after[key] },
+          }));
+    const visible = children.filter(
+      ({ node }) => !changesOnly || node.status !== "unchanged",
+    );
+
+    if (visible.length === 0) {
+      container.replaceChildren(
+        changesOnly
+          ? this.createEmptyState("✓", "No differences")
+          : this.createEmptyState(),
+      );
+    }
+
+    visible.forEach(({ key, node }) => {
+      container.appendChild(
+        this.createDiffSection(
+          key,
+          node,
+          ToonSourceMap.childPath("", key),
+          changesOnly,
+        ),
+      );
+    });
+
+    document.getElementById("statsContainer").style.display = "none";
+    this.updateExpandAllButton();
+  }
+
+  isObjectRoot({ status, after }) {
+    return (
+      status === "unchanged" &&
+      typeof after === "object" &&
+      after !== null &&
+      !Array.isArray(after)
+    );
+  }
+
+  createDiffRoot(diff, changesOnly) {
+    if (diff.status === "unchanged") {
+      return Array.isArray(diff.after)
+        ? this.renderRootArray(diff.after)
+        : this.createValueCard(diff.after);
+    }
+
+    if (!diff.children) {
+      const card = document.createElement("div");
+      card.className = "value-card diff-changed";
+      card.dataset.path = "";
+
+      const value = document.createElement("span");
+      value.className = "field-value";
+      value.append(...this.createDiffValues(diff.before, diff.after));
+      card.appendChild(value);
+      return card;
+    }
+
+    const root = document.createElement("div");
+    root.className = "root-array diff-changed";
+    root.dataset.path = "";
+
+    const header = document.createElement("div");
+    header.className = "array-meta";
+    header.textContent = this.formatDiffCounts(ToonDiff.summarize(diff));
+
+    root.append(
+      header,
+      diff.type === "table"
+        ? this.renderDiffTable(diff, changesOnly)
+        : this.renderDiffChildren(diff, "", changesOnly),
+    );
+    return root;
+  }
+
+  createDiffSection(key, node, path, changesOnly) {
+    if (node.status !== "changed") {
+      const section = this.createSection(
+        key,
+        node.status === "removed" ? node.before : node.after,
+        path,
+      );
+      section.classList.add(`diff-${node.status}`);
+      return section;
+    }
+
+    const section = document.createElement("div");
+    section.className = "toon-section diff-changed";
+    section.dataset.path = path;
+
+    if (!node.children) {
+      section.appendChild(this.renderDiffField(key, node));
+      return section;
+    }
+
+    const header = this.createHeader(
+      key,
+      this.formatDiffCounts(ToonDiff.summarize(node)),
+      true,
+    );
+    const content = document.createElement("div");
+    content.className = "section-content";
+    this.lazyContent.set(content, () =>
+      node.type === "table"
+        ? this.renderDiffTable(node, changesOnly)
+        : this.renderDiffChildren(node, path, changesOnly),
+    );
+
+    this.makeCollapsible(header, content);
+    section.append(header, content);
+    this.setExpanded(content, true);
+    return section;
+  }
+
+  renderDiffChildren(node, path, changesOnly) {
+    const container = document.createElement("div");
+
+    node.children
+      .filter((child) => !changesOnly || child.node.status !== "unchanged")
+      .forEach(({ key, node: child }) => {
+        const childPath = ToonSourceMap.childPath(path, key);
+        const value = child.status === "removed" ? child.before : child.after;
+
+        if (child.status === "changed" && !child.children) {
+          container.appendChild(this.renderDiffField(key, child));
+        } else if (
+          child.status !== "changed" &&
+          (typeof value !== "object" || value === null)
+        ) {
+          const field = this.renderField(key, value, childPath);
+          field.classList.add(`diff-${child.status}`);
+          container.appendChild(field);
+        } else {
+          container.appendChild(
+            this.createDiffSection(key, child, childPath, changesOnly),
+          );
+        }
+      });
+
+    return container;
+  }
+
+  renderDiffField(key, node) {
+    const fieldItem = document.createElement("div");
+    fieldItem.className = "field-item diff-changed";
+
+    const keySpan = document.createElement("span");
+    keySpan.className = "field-key";
+    keySpan.textContent = key;
+
+    const valueSpan = document.createElement("span");
+    valueSpan.className = "field-value";
+    valueSpan.append(...this.createDiffValues(node.before, node.after));
+
+    fieldItem.append(keySpan, valueSpan);
+    return fieldItem;
+  }
+
+  renderDiffTable(node, changesOnly) {
+    const rows = [...node.before, ...node.after];
+    const columns = Array.from(
+      new Set(rows.flatMap((row) => Object.keys(row))),
+    );
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "table-wrapper";
+    const scroll = document.createElement("div");
+    scroll.className = "table-scroll";
+    const table = document.createElement("table");
+
+    const headerRow = document.createElement("tr");
+    ["#", ...columns].forEach((column) => {
+      const th = document.createElement("th");
+      th.textContent = column;
+      headerRow.appendChild(th);
+    });
+    const thead = document.createElement("thead");
+    thead.appendChild(headerRow);
+
+    const tbody = document.createElement("tbody");
+    node.children
+      .filter((child) => !changesOnly || child.node.status !== "unchanged")
+      .forEach(({ key, node: row }) => {
+        const tr = document.createElement("tr");
+        tr.className = `diff-${row.status}`;
+
+        const number = document.createElement("td");
+        number.className = "row-number";
+        number.textContent = key + 1;
+        tr.appendChild(number);
+
+        columns.forEach((column) => {
+          const td = document.createElement("td");
+          const before = row.before?.[column];
+          const after = row.after?.[column];
+
+          if (
+            row.status === "changed" &&
+            JSON.stringify(before) !== JSON.stringify(after)
+          ) {
+            td.append(...this.createDiffValues(before, after));
+          } else {
+            td.textContent = this.formatDiffValue(
+              row.status === "removed" ? before : after,
+            );
+          }
+          tr.appendChild(td);
+        });
+
+        tbody.appendChild(tr);
+      });
+
+    table.append(thead, tbody);
+    scroll.appendChild(table);
+    wrapper.appendChild(scroll);
+    return wrapper;
+  }
+
+  createDiffValues(before, after) {
+    const removed = document.createElement("del");
+    removed.className = "diff-before";
+    removed.textContent = this.formatDiffValue(before);
+
+    const added = document.createElement("ins");
+    added.className = "diff-after";
+    added.textContent = this.formatDiffValue(after);
+
+    return [
+      ...(before === undefined ? [] : [removed, " "]),
+      ...(after === undefined ? [] : [added]),
+    ];
+  }
+
+  formatDiffValue(value) {
+    if (value === undefined) return "";
+    return typeof value === "string" ? value : JSON.stringify(value);
+  }
+
+  formatDiffCounts({ added, removed, changed }) {
+    return (
+      [added && `+${added}`, removed && `−${removed}`, changed && `~${changed}`]
+        .filter(Boolean)
+        .join(" ") || "no changes"
+    );
+  }
+
+  renderDiffSummary(diff) {
+    const summary = document.getElementById("diffSummary");
+    const sections = (diff.children ?? [])
+      .filter(({ node }) => node.status !== "unchanged")
+      .map(({ key, node }) => ({
+        key: { object: key, table: `#${key + 1}` }[diff.type] ?? `[${key}]`,
+        node,
+      }));
+    const totals = ToonDiff.summarize(diff);
+
+    summary.hidden = false;
+    summary.replaceChildren(
+      this.createTable(
+        ["Section", "Added", "Removed", "Changed"],
+        [
+          ...sections.map(({ key, node }) => [key, ToonDiff.summarize(node)]),
+          ["Total", totals],
+        ].map(([label, counts]) => [
+          label,
+          counts.added,
+          counts.removed,
+          counts.changed,
+        ]),
+      ),
+    );
+  }
+
+  hideDiffSummary() {
+    document.getElementById("diffSummary").hidden = true;
+  }
+
+  renderCombinedStats(tabs, container) {
+    const fields = ["sections", "arrays", "fields", "rows", "primitives"];
+    const parsed = tabs.filter(({ stats }) => stats);
+    const total = Object.fromEntries(
+      fields.map((field) => [
+        field,
+        parsed.reduce((sum, { stats }) => sum + stats[field], 0),
+      ]),
+    );
+    total.depth = Math.max(0, ...parsed.map(({ stats }) => stats.depth));
+
+    container.replaceChildren(
+      this.createTable(
+        [
+          "Tab",
+          "Format",
+          "Sections",
+          "Arrays",
+          "Fields",
+          "Rows",
+          "Primitives",
+          "Depth",
+          "Lines",
+        ],
+        [
+          ...tabs,
+          {
+            name: `All tabs (${tabs.length})`,
+            format: "",
+            stats: total,
+            lines: tabs.reduce((sum, { lines }) => sum + lines, 0),
+          },
+        ].map(({ name, format, stats, lines }) => [
+          name,
+          format ? format.toUpperCase() : "",
+          ...[...fields, "depth"].map((field) => stats?.[field] ?? "—"),
+          lines,
+        ]),
+      ),
+    );
+  }
+
+  createTable(headers, rows) {
+    const table = document.createElement("table");
+    table.className = "token-table";
+
+    const head = table.createTHead().insertRow();
+    headers.forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    rows.forEach((values) => {
+      const row = body.insertRow();
+      values.forEach((value) => {
+        row.insertCell().textContent = value;
+      });
+    });
+
+    return table;
+  }
+
+  createEmptyState(icon = "📄", message = "No data to display") {
+    const empty = document.createElement("div");
+    empty.className = "empty-state";
+
+    const iconElement = document.createElement("div");
+    iconElement.className = "empty-icon";
+    iconElement.textContent = icon;
+
+    const text = document.createElement("p");
+    text.textContent = message;
+
+    empty.append(iconElement, text);
+    return empty;
+  }
+
+  renderEmptyState(container) {
+    container.replaceChildren(this.createEmptyState());
+    document.getElementById("statsContainer").style.display = "none";
+  }
+
+  renderStats(stats) {
+    const statsContainer = document.getElementById("statsContainer");
+    statsContainer.style.display = "flex";
+    const { largestArray } = stats;
+
+    statsContainer.replaceChildren(
+      ...[
+        ["Root", stats.root ?? "object"],
+        ["Sections", stats.sections],
+        ["Arrays", stats.arrays],
+        ["Fields", stats.fields],
+        ["Rows", stats.rows],
+        ["Depth", stats.depth],
+        ["Primitives", stats.primitives],
+        [
+          "Largest array",
+          largestArray
+            ? `${largestArray.path || "/"} [${largestArray.length}]`
+            : "—",
+        ],
+      ].map(([label, value]) => {
+        const item = document.createElement("div");
+        item.className = "stat-item";
+
+        const name = document.createElement("span");
+        name.textContent = `${label}:`;
+        const stat = document.createElement("span");
+        stat.className = "stat-value";
+        stat.textContent = value;
+
+        item.append(name, stat);
+        return item;
+      }),
+    );
+  }
+
+  renderTokenStats(report) {
+    const tokenContainer = document.getElementById("tokenContainer");
+    const { method, totals, sections } = report;
+
+    const header = document.createElement("div");
+    header.className = "token-header";
+    const title = document.createElement("span");
+    title.textContent = "Estimated tokens";
+    const badge = document.createElement("span");
+    badge.className = "badge";
+    badge.textContent = method;
+    header.append(title, badge);
+
+    const cards = document.createElement("div");
+    cards.className = "token-totals";
+    [
+      ["TOON", totals.toon, null],
+      ["JSON", totals.json, this.formatSavings(totals.toon, totals.json)],
+      [
+        "Compact JSON",
+        totals.compactJson,
+        this.formatSavings(totals.toon, totals.compactJson),
+      ],
+    ].forEach(([label, value, saving]) => {
+      const card = document.createElement("div");
+      card.className = "token-card";
+      [
+        ["token-label", label],
+        ["token-value", value],
+        ["token-saving", saving],
+      ].forEach(([className, text]) => {
+        if (text === null) return;
+        const span = document.createElement("span");
+        span.className = className;
+        span.textContent = text;
+        card.appendChild(span);
+      });
+      cards.appendChild(card);
+    });
+
+    tokenContainer.style.display = "block";
+    tokenContainer.replaceChildren(header, cards);
+
+    if (sections.length === 0) return;
+
+    tokenContainer.appendChild(
+      this.createTable(
+        ["Section", "TOON", "JSON", "Compact JSON", "vs JSON", "vs Compact"],
+        sections.map((section) => [
+          section.key,
+          section.toon,
+          section.json,
+          section.compactJson,
+          this.formatSavings(section.toon, section.json),
+          this.formatSavings(section.toon, section.compactJson),
+        ]),
+      ),
+    );
+  }
+
+  formatSavings(toonTokens, otherTokens) {
+    if (otherTokens === 0) return "—";
+
+    const percent = (1 - toonTokens / otherTokens) * 100;
+    return percent >= 0
+      ? `${percent.toFixed(1)}% saved`
+      : `${Math.abs(percent).toFixed(1)}% larger`;
+  }
+
+  updateExpandAllButton() {
+    const sections = document.querySelectorAll(".toon-section");
+    let allExpanded = true;
+    let allCollapsed = true;
+
+    sections.forEach((section) => {
+      const content = section.querySelector(".section-content");
+      if (content) {
+        if (content.classList.contains("show")) {
+          allCollapsed = false;
+        } else {
+          allExpanded = false;
+        }
+      }
+    });
+
+    const expandText = document.getElementById("expandAllText");
+    if (sections.length === 0 || allCollapsed) {
+      expandText.textContent = "Expand All";
+      this.allExpanded = false;
+    } else if (allExpanded) {
+      expandText.textContent = "Collapse All";
+      this.allExpanded = true;
+    } else {
+      expandText.textContent = "Expand All";
+      this.allExpanded = false;
+    }
+  }
+
+  toggleAllSections(expand) {
+    const contents = Array.from(
+      document.querySelectorAll(".toon-section > .section-content"),
+    );
+
+    for (let i = 0; i < contents.length; i++) {
+      const content = contents[i];
+      if (!content.previousElementSibling) continue;
+
+      const isLazy = this.lazyContent.has(content);
+      this.setExpanded(content, expand);
+      if (isLazy && expand) {
+        contents.push(
+          ...content.querySelectorAll(".toon-section > .section-content"),
+        );
+      }
+    }
+
+    if (!expand) this.expandedPaths.clear();
+    this.allExpanded = expand;
+    this.updateExpandAllButton();
+  }
+}
+
+class ToonEditor {
+  constructor(textarea, parser = new ToonParser()) {
+    this.textarea = textarea;
+    this.parser = parser;
+    this.indentSize = parser.indentSize;
+    this.diagnostics = [];
+    this.activeRange = null;
+    this.frame = null;
+    this.highlightLimit = 5000;
+
+    this.buildLayout();
+    this.initializeEventListeners();
+    this.refresh();
+  }
+
+  buildLayout() {
+    this.wrapper = document.createElement("div");
+    this.wrapper.className = "editor";
+
+    this.gutter = document.createElement("div");
+    this.gutter.className = "editor-gutter";
+    this.gutter.setAttribute("aria-hidden", "true");
+
+    this.body = document.createElement("div");
+    this.body.className = "editor-body";
+
+    this.highlight = document.createElement("pre");
+    this.highlight.className = "editor-highlight";
+    this.highlight.setAttribute("aria-hidden", "true");
+
+    this.lineHighlight = document.createElement("div");
+    this.lineHighlight.className = "editor-line-highlight";
+    this.lineHighlight.style.display = "none";
+
+    this.textarea.replaceWith(this.wrapper);
+    this.textarea.setAttribute("wrap", "off");
+    this.body.append(this.lineHighlight, this.highlight, this.textarea);
+    this.wrapper.append(this.gutter, this.body);
+  }
+
+  initializeEventListeners() {
+    this.textarea.addEventListener("input", () => this.scheduleRefresh());
+    this.textarea.addEventListener("scroll", () => this.syncScroll());
+    this.textarea.addEventListener("keydown", (event) =>
+      this.handleKeydown(event),
+    );
+  }
+
+  setValue(value) {
+    this.textarea.value = value;
+    this.refresh();
+  }
+
+  setDiagnostics(diagnostics) {
+    this.diagnostics = diagnostics.filter(
+      (diagnostic) => diagnostic.line !== null,
+    );
+    this.refresh();
+  }
+
+  scheduleRefresh() {
+    if (this.frame !== null) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.refresh();
+    });
+  }
+
+  refresh() {
+    const lines = this.textarea.value.split("\n");
+    const diagnosticsByLine = new Map();
+
+    if (lines.length > this.highlightLimit) {
+      this.refreshPlain(lines);
+      return;
+    }
+
+    this.diagnostics.forEach((diagnostic) => {
+      if (!diagnosticsByLine.has(diagnostic.line)) {
+        diagnosticsByLine.set(diagnostic.line, []);
+      }
+      diagnosticsByLine.get(diagnostic.line).push(diagnostic);
+    });
+
+    const fragment = document.createDocumentFragment();
+    lines.forEach((line, index) => {
+      fragment.append(
+        ...this.highlightLine(line, diagnosticsByLine.get(index + 1) || []),
+        "\n",
+      );
+    });
+    fragment.append(" ");
+    this.highlight.replaceChildren(fragment);
+
+    this.renderGutter(lines.length, diagnosticsByLine);
+    this.syncScroll();
+  }
+
+  refreshPlain(lines) {
+    this.highlight.textContent = `${this.textarea.value}\n `;
+
+    const numbers = document.createElement("div");
+    numbers.className = "gutter-line";
+    numbers.style.whiteSpace = "pre";
+    numbers.textContent = lines.map((_, index) => index + 1).join("\n");
+    this.gutter.replaceChildren(numbers);
+
+    this.syncScroll();
+  }
+
+  renderGutter(lineCount, diagnosticsByLine) {
+    const fragment = document.createDocumentFragment();
+
+    for (let lineNum = 1; lineNum <= lineCount; lineNum++) {
+      const marker = document.createElement("div");
+      const diagnostics = diagnosticsByLine.get(lineNum);
+      marker.className = "gutter-line";
+      marker.textContent = lineNum;
+
+      if (diagnostics) {
+        const hasError = diagnostics.some(
+          (diagnostic) => diagnostic.severity === "error",
+        );
+        marker.classList.add(hasError ? "gutter-error" : "gutter-warning");
+        marker.title = diagnostics
+          .map((diagnostic) => diagnostic.message)
+          .join("\n");
+      }
+
+      fragment.appendChild(marker);
+    }
+
+    this.gutter.innerHTML = "";
+    this.gutter.appendChild(fragment);
+  }
+
+  syncScroll() {
+    this.highlight.scrollTop = this.textarea.scrollTop;
+    this.highlight.scrollLeft = this.textarea.scrollLeft;
+    this.gutter.scrollTop = this.textarea.scrollTop;
+    this.positionLineHighlight();
+  }
+
+  highlightLines(startLine, endLine = startLine) {
+    this.activeRange = { startLine, endLine };
+    this.positionLineHighlight();
+  }
+
+  clearLineHighlight() {
+    this.activeRange = null;
+    this.positionLineHighlight();
+  }
+
+  positionLineHighlight() {
+    const lineHeight = this.getLineHeight();
+
+    if (!this.activeRange || isNaN(lineHeight)) {
+      this.lineHighlight.style.display = "none";
+      return;
+    }
+
+    const { startLine, endLine } = this.activeRange;
+    const paddingTop = parseFloat(getComputedStyle(this.textarea).paddingTop);
+
+    this.lineHighlight.style.display = "block";
+    this.lineHighlight.style.top = `${(paddingTop || 0) + (startLine - 1) * lineHeight - this.textarea.scrollTop}px`;
+    this.lineHighlight.style.height = `${(endLine - startLine + 1) * lineHeight}px`;
+  }
+
+  getLineHeight() {
+    return parseFloat(getComputedStyle(this.textarea).lineHeight);
+  }
+
+  getCaretLine() {
+    const { value, selectionStart } = this.textarea;
+    return value.slice(0, selectionStart).split("\n").length;
+  }
+
+  scrollToLine(line) {
+    const lineHeight = this.getLineHeight();
+    if (!isNaN(lineHeight)) {
+      this.textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    }
+    this.syncScroll();
+  }
+
+  highlightLine(line, diagnostics) {
+    const classes = new Array(line.length).fill("");
+    const squiggles = new Array(line.length).fill("");
+    const mark = (start, end, className) => {
+      for (let i = Math.max(start, 0); i < Math.min(end, line.length); i++) {
+        classes[i] = className;
+      }
+    };
+
+    this.tokenizeLine(line, mark);
+
+    diagnostics.forEach(({ severity, column, endColumn }) => {
+      const start = column ? column - 1 : line.length - line.trimStart().length;
+      const end = endColumn ? endColumn - 1 : line.length;
+      for (let i = start; i < Math.min(end, line.length); i++) {
+        squiggles[i] = `squiggle squiggle-${severity}`;
+      }
+    });
+
+    const nodes = [];
+    let i = 0;
+    while (i < line.length) {
+      let j = i + 1;
+      while (
+        j < line.length &&
+        classes[j] === classes[i] &&
+        squiggles[j] === squiggles[i]
+      ) {
+        j++;
+      }
+
+      const text = line.slice(i, j);
+      const className = [classes[i], squiggles[i]].filter(Boolean).join(" ");
+      if (className) {
+        const span = document.createElement("span");
+        span.className = className;
+        span.textContent = text;
+        nodes.push(span);
+      } else {
+        nodes.push(text);
+      }
+      i = j;
+    }
+
+    return nodes;
+  }
+
+  tokenizeLine(line, mark) {
+    let offset = line.length - line.trimStart().length;
+    let rest = line.slice(offset);
+
+    if (rest === "-" || rest.startsWith("- ")) {
+      mark(offset, offset + 1, "tok-marker");
+      offset += 2;
+      rest = line.slice(offset);
+    }
+
+    const header = rest.match(
+      /^("(?:[^"\\]|\\.)*"|[^\s:[{"][^:[{]*?)?(\[[^\]]*\])(\{[^}]*\})?(:)/,
+    );
+    if (header) {
+      const [whole, key = "", bracket, fields = ""] = header;
+      mark(offset, offset + key.length, "tok-key");
+      let position = offset + key.length;
+      mark(position, position + bracket.length, "tok-header");
+      position += bracket.length;
+      if (fields) {
+        this.tokenizeValues(fields, position, mark, "tok-field");
+        mark(position, position + 1, "tok-header");
+        mark(
+          position + fields.length - 1,
+          position + fields.length,
+          "tok-header",
+        );
+      }
+      mark(offset + whole.length - 1, offset + whole.length, "tok-delimiter");
+      this.tokenizeValues(
+        rest.slice(whole.length),
+        offset + whole.length,
+        mark,
+      );
+      return;
+    }
+
+    const colonIdx = this.parser.findUnquotedChar(rest, ":");
+    if (colonIdx !== -1) {
+      mark(offset, offset + colonIdx, "tok-key");
+      mark(offset + colonIdx, offset + colonIdx + 1, "tok-delimiter");
+      this.tokenizeValues(
+        rest.slice(colonIdx + 1),
+        offset + colonIdx + 1,
+        mark,
+      );
+      return;
+    }
+
+    this.tokenizeValues(rest, offset, mark);
+  }
+
+  tokenizeValues(text, offset, mark, valueClass = null) {
+    const pattern = /"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?|[,|\t]|[^,|\t"']+/g;
+
+    for (const match of text.matchAll(pattern)) {
+      const token = match[0];
+      const start = offset + match.index;
+      const trimmed = token.trim();
+      const leading = token.length - token.trimStart().length;
+      let className = valueClass;
+
+      if (/^[,|\t]$/.test(token)) {
+        className = "tok-delimiter";
+      } else if (!className) {
+        className = this.classifyValue(trimmed);
+      }
+
+      mark(start + leading, start + leading + trimmed.length, className);
+    }
+  }
+
+  classifyValue(value) {
+    if (value.startsWith('"') || value.startsWith("'")) return "tok-string";
+    if (value === "true" || value === "false") return "tok-boolean";
+    if (value === "null" || value === "nil") return "tok-null";
+    if (value !== "" && !isNaN(value)) return "tok-number";
+    return "tok-value";
+  }
+
+  handleKeydown(event) {
+    if (event.key !== "Tab" || event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+
+    event.preventDefault();
+    const { value, selectionStart, selectionEnd } = this.textarea;
+    const indent = " ".repeat(this.indentSize);
+    const isMultiline = value
+      .slice(selectionStart, selectionEnd)
+      .includes("\n");
+
+    if (!event.shiftKey && !isMultiline) {
+      this.textarea.setRangeText(indent, selectionStart, selectionEnd, "end");
+      this.notifyInput();
+      return;
+    }
+
+    const blockStart = value.lastIndexOf("\n", selectionStart - 1) + 1;
+    const lineEnd = value.indexOf("\n", Math.max(selectionEnd - 1, blockStart));
+    const blockEnd = lineEnd === -1 ? value.length : lineEnd;
+    const lines = value.slice(blockStart, blockEnd).split("\n");
+
+    const updated = lines.map((line) =>
+      event.shiftKey
+        ? line.replace(new RegExp(`^ {1,${this.indentSize}}`), "")
+        : indent + line,
+    );
+    const firstLineShift = updated[0].length - lines[0].length;
+
+    this.textarea.setRangeText(updated.join("\n"), blockStart, blockEnd);
+    this.textarea.selectionStart = Math.max(
+      blockStart,
+      selectionStart + firstLineShift,
+    );
+    this.textarea.selectionEnd =
+      blockStart + updated.join("\n").length - (blockEnd - selectionEnd);
+    this.notifyInput();
+  }
+
+  notifyInput() {
+    this.textarea.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  goToLine(line, column = 1) {
+    const lines = this.textarea.value.split("\n");
+    const targetLine = Math.min(Math.max(line, 1), lines.length);
+    let offset = 0;
+
+    for (let i = 0; i < targetLine - 1; i++) {
+      offset += lines[i].length + 1;
+    }
+    offset += Math.min(Math.max(column - 1, 0), lines[targetLine - 1].length);
+
+    this.textarea.focus();
+    this.textarea.setSelectionRange(offset, offset);
+    this.scrollToLine(targetLine);
+  }
+}
+
+class ToonParseWorker {
+  constructor() {
+    this.worker = null;
+    this.url = null;
+    this.pending = null;
+    this.nextId = 0;
+    this.unavailable =
+      typeof Worker === "undefined" ||
+      typeof Blob === "undefined" ||
+      typeof URL.createObjectURL !== "function";
+  }
+
+  isAvailable() {
+    return !this.unavailable;
+  }
+
+  isBusy() {
+    return this.pending !== null;
+  }
+
+  parse(input, format, options, onProgress = null) {
+    this.reset();
+
+    let worker;
+    try {
+      worker = this.ensureWorker();
+    } catch {
+      this.unavailable = true;
+      return Promise.reject(this.createError("worker-unavailable"));
+    }
+
+    const id = ++this.nextId;
+    return new Promise((resolve, reject) => {
+      this.pending = { id, resolve, reject, onProgress };
+      worker.postMessage({ id, input, format, options });
+    });
+  }
+
+  cancel() {
+    this.settle("cancelled", "Parsing was cancelled");
+  }
+
+  reset() {
+    this.settle("superseded", "Parsing was superseded by a newer request");
+  }
+
+  settle(code, message) {
+    if (!this.pending) return;
+
+    const { reject } = this.pending;
+    this.pending = null;
+    this.terminate();
+    reject(this.createError(code, message));
+  }
+
+  createError(code, message = "Web Workers are unavailable") {
+    return new ToonParseError(message, null, { code });
+  }
+
+  ensureWorker() {
+    if (this.worker) return this.worker;
+
+    this.url ??= URL.createObjectURL(
+      new Blob([this.buildSource()], { type: "text/javascript" }),
+    );
+    this.worker = new Worker(this.url);
+    this.worker.addEventListener("message", (event) =>
+      this.handleMessage(event.data),
+    );
+    this.worker.addEventListener("error", (event) => {
+      event.preventDefault();
+      this.unavailable = true;
+      this.settle("worker-unavailable", "The parser worker failed to start");
+    });
+
+    return this.worker;
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+  }
+
+  handleMessage(message) {
+    const { pending } = this;
+    if (!pending || message.id !== pending.id) return;
+
+    if (message.type === "progress") {
+      pending.onProgress?.(message.processed, message.total);
+      return;
+    }
+
+    this.pending = null;
+    if (message.type === "result") {
+      const { sourceMap } = message.result;
+      pending.resolve({
+        ...message.result,
+        sourceMap: sourceMap ? new ToonSourceMap(sourceMap) : null,
+      });
+    } else if (message.error.code !== undefined) {
+      pending.reject(ToonParseError.fromDiagnostic(message.error));
+    } else {
+      pending.reject(new Error(message.error.message));
+    }
+  }
+
+  buildSource() {
+    const classes = [
+      ToonSourceMap,
+      ToonParseError,
+      ToonParser,
+      ToonEncoder,
+      ToonImporter,
+    ]
+      .map((cls) => cls.toString())
+      .join("\n\n");
+
+    return `${classes}
+
+const parser = new ToonParser();
+const importer = new ToonImporter(parser);
+
+self.addEventListener("message", (event) => {
+  const { id, input, format, options } = event.data;
+
+  try {
+    parser.configure(options);
+    const result = importer.import(input, format, {
+      recover: true,
+      onProgress: (processed, total) =>
+        self.postMessage({ id, type: "progress", processed, total }),
+    });
+    self.postMessage({
+      id,
+      type: "result",
+      result: { ...result, sourceMap: result.sourceMap?.ranges ?? null },
+    });
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: "error",
+      error:
+        error instanceof ToonParseError
+          ? error.toDiagnostic()
+          : { message: error.message },
+    });
+  }
+});
+`;
+  }
+}
 
 class ToonVisualizer {
   constructor() {
     this.parser = new ToonParser();
-    this.renderer = new ToonRenderer();
+    this.encoder = new ToonEncoder();
+    this.exporter = new ToonExporter(this.encoder);
+    this.renderer = new ToonRenderer(this.exporter);
+    this.importer = new ToonImporter(this.parser, this.encoder);
+    this.tokenizer = new ToonTokenizer(this.encoder);
+    this.editor = new ToonEditor(
+      document.getElementById("toonInput"),
+      this.parser,
+    );
+    this.compareEditor = new ToonEditor(
+      document.getElementById("compareInput"),
+      this.parser,
+    );
+    this.diff = null;
+    this.schemaValidator = new ToonSchemaValidator();
+    this.schemaStore = new ToonSchemaStore();
+    this.historyStore = new ToonHistoryStore();
+    this.permalink = new ToonPermalink();
+    this.schema = null;
+    this.violations = [];
+    this.currentData = undefined;
+    this.currentToon = "";
+    this.currentFormat = null;
+    this.sourceMap = null;
+    this.currentStats = null;
+    this.queryResult = null;
+    this.viewData = null;
+    this.searchMatches = [];
+    this.searchIndex = -1;
+    this.editable = false;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyLimit = 100;
+    this.tabs = [];
+    this.tabCounter = 0;
+    this.activeTab = this.createTab();
+    this.parseWorker = new ToonParseWorker();
+    this.workerThreshold = 100000;
+    this.liveDelay = 300;
+    this.liveTimer = null;
+    this.tokenDelay = 500;
+    this.tokenTimer = null;
+    this.draftTimer = null;
     this.exampleTOON = `
 users[3]{id,name,role,active}:
   1,Alice,admin,true
   2,Bob,user,true
   3,Charlie,guest,false
 
-settings:
-  theme: dark
-  notifications: null
-  timeout: 300
+settings:
+  theme: dark
+  notifications: null
+  timeout: 300
+
+tags[4]: js,css,"react, vue",html
+
+location:
+  city: "New York"
+  zip: 10001
+`.trim();
+
+    this.initializeEventListeners();
+    this.renderSavedSchemas();
+    this.renderHistory();
+    this.renderTabs();
+    this.loadTokenizerVocab();
+    this.restoreSession();
+  }
+
+  loadTokenizerVocab() {
+    const vocab = globalThis.TOON_TOKENIZER_VOCABS?.cl100k_base;
+    if (vocab) {
+      this.tokenizer.setVocab(vocab);
+      return;
+    }
+
+    const script = document.createElement("script");
+    script.src = "./assets/tokenizers/cl100k_base.js";
+    script.addEventListener("load", () => {
+      this.tokenizer.setVocab(
+        globalThis.TOON_TOKENIZER_VOCABS?.cl100k_base ?? null,
+      );
+      this.renderTokenStats();
+    });
+    document.head.appendChild(script);
+  }
+
+  initializeEventListeners() {
+    document
+      .getElementById("visualizeBtn")
+      .addEventListener("click", () => this.visualize());
+    document
+      .getElementById("clearBtn")
+      .addEventListener("click", () => this.clear());
+    document
+      .getElementById("cancelParseBtn")
+      .addEventListener("click", () => this.parseWorker.cancel());
+    document
+      .getElementById("exampleBtn")
+      .addEventListener("click", () => this.loadExample());
+    document
+      .getElementById("expandAllBtn")
+      .addEventListener("click", () => this.toggleAll());
+
+    document.getElementById("liveMode").addEventListener("change", (event) => {
+      if (event.target.checked) this.visualize({ live: true });
+    });
+    document
+      .getElementById("copyLinkBtn")
+      .addEventListener("click", (event) =>
+        this.copyLink(event.currentTarget.lastElementChild),
+      );
+    window.addEventListener("hashchange", () => this.loadPermalink());
+
+    document
+      .getElementById("newTabBtn")
+      .addEventListener("click", () => this.switchTab(this.createTab()));
+    document
+      .getElementById("saveTabBtn")
+      .addEventListener("click", () => this.saveTab());
+    document.getElementById("fileInput").addEventListener("change", (event) => {
+      this.openFiles(Array.from(event.target.files));
+      event.target.value = "";
+    });
+    document.getElementById("tabList").addEventListener("click", (event) => {
+      const element = event.target.closest("[data-tab]");
+      if (!element) return;
+
+      const tab = this.tabs.find(
+        ({ id }) => id === Number(element.dataset.tab),
+      );
+      if (event.target.closest("[data-close]")) {
+        this.closeTab(tab);
+      } else {
+        this.switchTab(tab);
+      }
+    });
+    document
+      .getElementById("tabStatsPanel")
+      .addEventListener("toggle", () => this.renderTabStats());
+
+    const inputPanel = document.getElementById("inputPanel");
+    inputPanel.addEventListener("dragover", (event) => {
+      if (!event.dataTransfer?.types.includes("Files")) return;
+      event.preventDefault();
+      inputPanel.classList.add("drag-over");
+    });
+    inputPanel.addEventListener("dragleave", (event) => {
+      if (!inputPanel.contains(event.relatedTarget)) {
+        inputPanel.classList.remove("drag-over");
+      }
+    });
+    inputPanel.addEventListener("drop", (event) => {
+      inputPanel.classList.remove("drag-over");
+      const files = Array.from(event.dataTransfer?.files ?? []);
+      if (files.length === 0) return;
+
+      event.preventDefault();
+      this.openFiles(files);
+    });
+
+    document.getElementById("toonInput").addEventListener("input", () => {
+      this.scheduleLiveUpdate();
+      this.scheduleDraftSave();
+    });
+    document.getElementById("inputFormat").addEventListener("change", () => {
+      this.scheduleLiveUpdate();
+      this.scheduleDraftSave();
+    });
+    document
+      .getElementById("parserSettings")
+      .addEventListener("change", () => this.applyParserSettings());
+
+    document
+      .getElementById("compareInput")
+      .addEventListener("input", () => this.scheduleLiveUpdate());
+    document
+      .getElementById("diffMode")
+      .addEventListener("change", () => this.toggleDiffMode());
+    document
+      .getElementById("diffKey")
+      .addEventListener("change", () => this.visualize());
+    document
+      .getElementById("diffChangesOnly")
+      .addEventListener("change", () => this.renderDiff());
+    document
+      .getElementById("schemaInput")
+      .addEventListener("change", () => this.applySchema());
+    document
+      .getElementById("schemaFile")
+      .addEventListener("change", (event) => this.loadSchemaFile(event.target));
+    document
+      .getElementById("savedSchemas")
+      .addEventListener("change", (event) =>
+        this.loadSavedSchema(event.target.value),
+      );
+    document
+      .getElementById("saveSchemaBtn")
+      .addEventListener("click", () => this.saveSchema());
+    document
+      .getElementById("deleteSchemaBtn")
+      .addEventListener("click", () => this.deleteSchema());
+    document
+      .getElementById("schemaContainer")
+      .addEventListener("click", (event) => {
+        const item = event.target.closest(".diagnostic[data-path]");
+        if (item) this.revealViolation(item.dataset.path);
+      });
+    document
+      .getElementById("historySearch")
+      .addEventListener("input", () => this.renderHistory());
+    const historyList = document.getElementById("historyList");
+    historyList.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-history]");
+      if (!button) return;
+      this.handleHistoryAction(
+        button.dataset.history,
+        button.closest("[data-id]").dataset.id,
+      );
+    });
+    historyList.addEventListener("change", (event) => {
+      if (!event.target.classList.contains("history-name")) return;
+      this.historyStore.update(event.target.closest("[data-id]").dataset.id, {
+        name: event.target.value.trim() || "Untitled",
+      });
+      this.renderHistory();
+    });
+    document
+      .getElementById("queryInput")
+      .addEventListener("input", () => this.renderView());
+    document
+      .getElementById("copyQueryToonBtn")
+      .addEventListener("click", (event) =>
+        this.copyQueryResult("toon", event.currentTarget),
+      );
+    document
+      .getElementById("copyQueryJsonBtn")
+      .addEventListener("click", (event) =>
+        this.copyQueryResult("json", event.currentTarget),
+      );
+
+    const searchInput = document.getElementById("searchInput");
+    searchInput.addEventListener("input", () => this.search({ reveal: true }));
+    searchInput.addEventListener("keydown", (event) => {
+      if (event.key !== "Enter") return;
+      event.preventDefault();
+      this.stepSearch(event.shiftKey ? -1 : 1);
+    });
+    ["searchScope", "searchCase", "searchRegex"].forEach((id) => {
+      document
+        .getElementById(id)
+        .addEventListener("change", () => this.search({ reveal: true }));
+    });
+    document
+      .getElementById("searchPrevBtn")
+      .addEventListener("click", () => this.stepSearch(-1));
+    document
+      .getElementById("searchNextBtn")
+      .addEventListener("click", () => this.stepSearch(1));
+
+    document.getElementById("editMode").addEventListener("change", () => {
+      this.renderView();
+    });
+    document
+      .getElementById("addKeyBtn")
+      .addEventListener("click", () => this.edit("add-key", ""));
+    document
+      .getElementById("undoEditBtn")
+      .addEventListener("click", () => this.undo());
+    document
+      .getElementById("redoEditBtn")
+      .addEventListener("click", () => this.redo());
+    document
+      .getElementById("outputPanel")
+      .addEventListener("keydown", (event) => {
+        if (!(event.ctrlKey || event.metaKey)) return;
+        if (event.target.closest("input, select, textarea")) return;
+
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+          event.preventDefault();
+          this.undo();
+        } else if (key === "y" || (key === "z" && event.shiftKey)) {
+          event.preventDefault();
+          this.redo();
+        }
+      });
+
+    const toonContainer = document.getElementById("toonContainer");
+    toonContainer.addEventListener("mouseover", (event) =>
+      this.highlightSource(event.target),
+    );
+    toonContainer.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-edit]");
+      if (button) {
+        this.edit(button.dataset.edit, button.dataset.path);
+        return;
+      }
+      this.highlightSource(event.target, true);
+    });
+    toonContainer.addEventListener("dblclick", (event) =>
+      this.startInlineEdit(event.target),
+    );
+    toonContainer.addEventListener("mouseleave", () =>
+      this.editor.clearLineHighlight(),
+    );
+
+    const toonInput = document.getElementById("toonInput");
+    toonInput.addEventListener("click", () => this.revealNodeAtCaret());
+    toonInput.addEventListener("keyup", (event) => {
+      if (event.key.startsWith("Arrow") || event.key.startsWith("Page")) {
+        this.revealNodeAtCaret();
+      }
+    });
+
+    document
+      .getElementById("errorContainer")
+      .addEventListener("click", (event) => {
+        const item = event.target.closest(".diagnostic[data-line]");
+        if (!item) return;
+        this.editor.goToLine(
+          Number(item.dataset.line),
+          Number(item.dataset.column) || 1,
+        );
+      });
+
+    document.getElementById("exportMenu").addEventListener("click", (event) => {
+      const button = event.target.closest("[data-export]");
+      if (!button) return;
+      this.export(button.dataset.export, button);
+      event.currentTarget.open = false;
+    });
+  }
+
+  readParserSettings() {
+    const options = {};
+
+    document
+      .querySelectorAll("#parserSettings [data-option]")
+      .forEach((control) => {
+        const { option } = control.dataset;
+        const value = control.value.trim();
+
+        if (option === "tabWidth") {
+          options[option] = Number(value);
+        } else if (option === "indentSize") {
+          options[option] = value === "auto" ? "auto" : Number(value);
+        } else {
+          options[option] = value;
+        }
+      });
+
+    return options;
+  }
+
+  applyParserSettings() {
+    const options = this.readParserSettings();
+    document.querySelector(
+      '#parserSettings [data-option="keyPattern"]',
+    ).disabled = options.keyCase !== "pattern";
+
+    try {
+      this.parser.configure(options);
+    } catch (error) {
+      this.clearError();
+      this.showError(
+        [this.toDiagnostic(error)],
+        this.currentData !== undefined,
+      );
+      return;
+    }
+
+    if (this.currentData !== undefined) this.visualize({ live: true });
+  }
+
+  scheduleLiveUpdate() {
+    if (!document.getElementById("liveMode").checked) return;
+
+    clearTimeout(this.liveTimer);
+    this.liveTimer = setTimeout(
+      () => this.visualize({ live: true }),
+      this.liveDelay,
+    );
+  }
+
+  async visualize({ live = false } = {}) {
+    const input = document.getElementById("toonInput").value;
+    clearTimeout(this.liveTimer);
+    this.parseWorker.reset();
+    this.clearError();
+
+    if (!input.trim()) {
+      if (!live) {
+        this.showError([
+          this.toDiagnostic(new ToonParseError("Please enter TOON data.")),
+        ]);
+      }
+      return;
+    }
+
+    this.saveDraft();
+
+    try {
+      const format = document.getElementById("inputFormat").value;
+      if (this.isDiffMode()) {
+        this.compare(input, format);
+        return;
+      }
+
+      const imported = this.shouldParseInWorker(input)
+        ? await this.parseInWorker(input, format)
+        : this.importer.import(input, format, { recover: true });
+      const { data, stats, diagnostics } = imported;
+      if (
+        live &&
+        this.currentData !== undefined &&
+        diagnostics.some((diagnostic) => diagnostic.severity === "error")
+      ) {
+        this.editor.setDiagnostics(diagnostics);
+        this.showError(diagnostics, true);
+        return;
+      }
+
+      this.showConverted(imported.format, imported.toon);
+      this.currentData = data;
+      this.currentToon = imported.toon;
+      this.currentFormat = imported.format;
+      this.sourceMap = imported.sourceMap ?? null;
+      this.editable =
+        imported.format === "toon" &&
+        this.sourceMap !== null &&
+        diagnostics.length === 0;
+      if (imported.format === "toon") {
+        this.editor.indentSize = imported.indentSize;
+      }
+      this.currentStats = stats;
+      this.renderView({ live });
+      this.renderTokenStats();
+      document.getElementById("outputPanel").style.display = "block";
+
+      this.editor.setDiagnostics(diagnostics);
+      if (diagnostics.length > 0) this.showError(diagnostics, true);
+      if (!live) this.recordHistory(input, format, data);
+      this.renderTabStats();
+    } catch (error) {
+      if (error.code === "superseded") return;
+
+      const diagnostic = this.toDiagnostic(error);
+      this.editor.setDiagnostics([diagnostic]);
+      this.showError(
+        [diagnostic],
+        (live || error.code === "cancelled") && this.currentData !== undefined,
+      );
+    }
+  }
+
+  isDiffMode() {
+    return document.getElementById("diffMode").checked;
+  }
+
+  createTab({ name = null, input = "", format = "auto" } = {}) {
+    this.tabCounter++;
+    const tab = {
+      id: this.tabCounter,
+      name: name ?? `Untitled ${this.tabCounter}`,
+      input,
+      format,
+      view: null,
+      errors: null,
+      state: null,
+    };
+    this.tabs.push(tab);
+    return tab;
+  }
+
+  switchTab(tab) {
+    if (!tab || tab === this.activeTab) return;
+
+    this.captureTab(this.activeTab);
+    this.activateTab(tab);
+  }
+
+  activateTab(tab) {
+    this.parseWorker.reset();
+    clearTimeout(this.liveTimer);
+    this.activeTab = tab;
+    this.restoreTab(tab);
+    this.renderTabs();
+    this.renderTabStats();
+    this.saveDraft();
+  }
+
+  closeTab(tab) {
+    const index = this.tabs.indexOf(tab);
+    if (index === -1) return;
+
+    this.tabs.splice(index, 1);
+    if (tab === this.activeTab) {
+      this.activateTab(
+        this.tabs[index] ?? this.tabs[index - 1] ?? this.createTab(),
+      );
+    } else {
+      this.renderTabs();
+      this.renderTabStats();
+    }
+  }
+
+  captureTab(tab) {
+    const view = document.createDocumentFragment();
+    view.append(...document.getElementById("toonContainer").childNodes);
+    const errors = document.createDocumentFragment();
+    errors.append(...document.getElementById("errorContainer").childNodes);
+
+    Object.assign(tab, {
+      input: document.getElementById("toonInput").value,
+      format: document.getElementById("inputFormat").value,
+      view,
+      errors,
+      state: {
+        currentData: this.currentData,
+        currentToon: this.currentToon,
+        currentFormat: this.currentFormat,
+        sourceMap: this.sourceMap,
+        currentStats: this.currentStats,
+        editable: this.editable,
+        undoStack: this.undoStack,
+        redoStack: this.redoStack,
+        diagnostics: this.editor.diagnostics,
+        renderedSections: this.renderer.renderedSections,
+        windowedViews: this.renderer.windowedViews,
+        expandedPaths: this.renderer.expandedPaths,
+      },
+    });
+  }
+
+  restoreTab(tab) {
+    const state = tab.state ?? {
+      currentData: undefined,
+      currentToon: "",
+      currentFormat: null,
+      sourceMap: null,
+      currentStats: null,
+      editable: false,
+      undoStack: [],
+      redoStack: [],
+      diagnostics: [],
+      renderedSections: new Map(),
+      windowedViews: new Map(),
+      expandedPaths: new Set(),
+    };
+    const container = document.getElementById("toonContainer");
+
+    this.editor.setValue(tab.input);
+    this.editor.setDiagnostics(state.diagnostics);
+    this.editor.clearLineHighlight();
+    document.getElementById("inputFormat").value = tab.format;
+
+    this.currentData = state.currentData;
+    this.currentToon = state.currentToon;
+    this.currentFormat = state.currentFormat;
+    this.sourceMap = state.sourceMap;
+    this.currentStats = state.currentStats;
+    this.editable = state.editable;
+    this.undoStack = state.undoStack;
+    this.redoStack = state.redoStack;
+    this.renderer.renderedSections = state.renderedSections;
+    this.renderer.windowedViews = state.windowedViews;
+    this.renderer.expandedPaths = state.expandedPaths;
+    this.queryResult = null;
+    this.viewData = null;
+    this.searchMatches = [];
+    this.searchIndex = -1;
+
+    if (tab.view) {
+      container.replaceChildren(tab.view);
+    } else {
+      this.renderer.renderEmptyState(container);
+    }
+    document
+      .getElementById("errorContainer")
+      .replaceChildren(...(tab.errors?.childNodes ?? []));
+    tab.view = null;
+    tab.errors = null;
+
+    if (this.isDiffMode()) {
+      this.visualize({ live: true });
+    } else if (this.currentData !== undefined) {
+      this.showConverted(this.currentFormat, this.currentToon);
+      document.getElementById("outputPanel").style.display = "block";
+      this.renderView({ live: true });
+      this.renderTokenStats();
+    } else {
+      this.hideConverted();
+      document.getElementById("outputPanel").style.display = "none";
+      document.getElementById("statsContainer").style.display = "none";
+      document.getElementById("tokenContainer").style.display = "none";
+      clearTimeout(this.tokenTimer);
+      this.updateSearchCount();
+      this.updateEditBar();
+    }
+  }
+
+  renderTabs() {
+    document.getElementById("tabList").replaceChildren(
+      ...this.tabs.map((tab) => {
+        const element = document.createElement("div");
+        element.className = "tab";
+        element.classList.toggle("active", tab === this.activeTab);
+        element.dataset.tab = tab.id;
+        element.setAttribute("role", "tab");
+        element.setAttribute("aria-selected", tab === this.activeTab);
+        element.title = tab.name;
+
+        const name = document.createElement("span");
+        name.className = "tab-name";
+        name.textContent = tab.name;
+
+        const close = document.createElement("button");
+        close.className = "tab-close";
+        close.dataset.close = "";
+        close.title = "Close tab";
+        close.textContent = "×";
+
+        element.append(name, close);
+        return element;
+      }),
+    );
+  }
+
+  renderTabStats() {
+    const panel = document.getElementById("tabStatsPanel");
+    if (!panel.open) return;
+
+    const tabs = this.tabs.map((tab) => {
+      const active = tab === this.activeTab;
+      const input = active
+        ? document.getElementById("toonInput").value
+        : tab.input;
+      let stats = active ? this.currentStats : tab.state?.currentStats;
+      let format = active ? this.currentFormat : tab.state?.currentFormat;
+
+      if (!stats && input.trim()) {
+        try {
+          ({ stats, format } = this.importer.import(
+            input,
+            active ? document.getElementById("inputFormat").value : tab.format,
+            { recover: true },
+          ));
+        } catch {
+          stats = null;
+        }
+      }
+
+      return {
+        name: tab.name,
+        format,
+        stats,
+        lines: input ? input.split("\n").length : 0,
+      };
+    });
+
+    this.renderer.renderCombinedStats(
+      tabs,
+      document.getElementById("tabStats"),
+    );
+  }
+
+  async openFiles(files) {
+    for (const file of files) {
+      const input = await file.text();
+      const format = this.formatOf(file.name);
+
+      if (
+        !document.getElementById("toonInput").value.trim() &&
+        this.currentData === undefined
+      ) {
+        this.activeTab.name = file.name;
+        this.editor.setValue(input);
+        document.getElementById("inputFormat").value = format;
+        this.renderTabs();
+      } else {
+        this.switchTab(this.createTab({ name: file.name, input, format }));
+      }
+      await this.visualize();
+    }
+  }
+
+  formatOf(filename) {
+    const extension = filename.split(".").pop().toLowerCase();
+    return ["toon", "json", "csv"].includes(extension) ? extension : "auto";
+  }
+
+  saveTab() {
+    const format = document.getElementById("inputFormat").value;
+    const extension = ["json", "csv", "yaml"].includes(format)
+      ? format
+      : "toon";
+    const mime = {
+      json: "application/json",
+      csv: "text/csv",
+      yaml: "text/yaml",
+    }[format];
+
+    this.exporter.download(
+      /\.\w+$/.test(this.activeTab.name)
+        ? this.activeTab.name
+        : `${this.activeTab.name}.${extension}`,
+      document.getElementById("toonInput").value,
+      mime,
+    );
+  }
+
+  async restoreSession() {
+    if (await this.loadPermalink()) return;
+
+    const draft = this.historyStore.getDraft();
+    if (!draft?.input) return;
+
+    this.editor.setValue(draft.input);
+    document.getElementById("inputFormat").value = draft.format ?? "auto";
+    this.visualize({ live: true });
+  }
+
+  async loadPermalink() {
+    const link = this.permalink.read(location.hash);
+    if (!link) return false;
+
+    window.history.replaceState(
+      null,
+      "",
+      `${location.pathname}${location.search}`,
+    );
+
+    try {
+      this.editor.setValue(await this.permalink.decode(link.payload));
+      document.getElementById("inputFormat").value = link.format;
+      this.visualize();
+    } catch {
+      this.clearError();
+      this.showError([
+        this.toDiagnostic(
+          new ToonParseError(
+            "The shared link is damaged or incomplete.",
+            null,
+            { code: "invalid-link" },
+          ),
+        ),
+      ]);
+    }
+    return true;
+  }
+
+  async copyLink(label) {
+    const input = document.getElementById("toonInput").value;
+    if (!input.trim()) {
+      this.flashButton(label, "Nothing to share");
+      return;
+    }
+
+    try {
+      const url = await this.permalink.createUrl(
+        input,
+        document.getElementById("inputFormat").value,
+      );
+      await this.exporter.copyToClipboard(url);
+      this.flashButton(label, "Link copied!");
+    } catch {
+      this.flashButton(label, "Copy failed");
+    }
+  }
+
+  scheduleDraftSave() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = setTimeout(() => this.saveDraft(), this.liveDelay);
+  }
+
+  saveDraft() {
+    clearTimeout(this.draftTimer);
+    this.historyStore.saveDraft({
+      input: document.getElementById("toonInput").value,
+      format: document.getElementById("inputFormat").value,
+    });
+  }
+
+  recordHistory(input, format, data) {
+    const name =
+      data !== null && typeof data === "object" && !Array.isArray(data)
+        ? Object.keys(data).slice(0, 3).join(", ")
+        : "";
+
+    try {
+      this.historyStore.add({ input, format, name });
+    } catch {
+      return;
+    }
+    this.renderHistory();
+  }
+
+  handleHistoryAction(action, id) {
+    const entry = this.historyStore.get(id);
+    if (!entry) return;
+
+    if (action === "open") {
+      this.editor.setValue(entry.input);
+      document.getElementById("inputFormat").value = entry.format;
+      this.visualize();
+      return;
+    }
+
+    if (action === "pin") {
+      this.historyStore.update(id, { pinned: !entry.pinned });
+    } else if (action === "delete") {
+      this.historyStore.remove(id);
+    }
+    this.renderHistory();
+  }
+
+  renderHistory() {
+    const list = document.getElementById("historyList");
+    const entries = this.historyStore.list(
+      document.getElementById("historySearch").value,
+    );
+
+    if (entries.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = document.getElementById("historySearch").value
+        ? "No matching inputs"
+        : "Parsed inputs will appear here";
+      list.replaceChildren(empty);
+      return;
+    }
+
+    list.replaceChildren(
+      ...entries.map((entry) => {
+        const item = document.createElement("li");
+        item.className = "history-item";
+        item.classList.toggle("pinned", entry.pinned);
+        item.dataset.id = entry.id;
+
+        const name = document.createElement("input");
+        name.type = "text";
+        name.className = "history-name";
+        name.value = entry.name;
+        name.spellcheck = false;
+
+        const meta = document.createElement("span");
+        meta.className = "history-meta";
+        meta.textContent = `${new Date(entry.savedAt).toLocaleString()} · ${entry.input.split("\n").length} lines`;
+
+        const actions = [
+          ["open", "Open", "Load this input"],
+          ["pin", entry.pinned ? "Unpin" : "Pin", "Keep at the top"],
+          ["delete", "×", "Delete from history"],
+        ].map(([action, label, title]) => {
+          const button = document.createElement("button");
+          button.className = "btn-small";
+          button.dataset.history = action;
+          button.title = title;
+          button.textContent = label;
+          return button;
+        });
+
+        item.append(name, meta, ...actions);
+        return item;
+      }),
+    );
+  }
+
+  toggleDiffMode() {
+    const diffMode = this.isDiffMode();
+
+    document.getElementById("compareView").style.display = diffMode
+      ? "flex"
+      : "none";
+    document.getElementById("queryBar").hidden = diffMode;
+    document.getElementById("searchBar").hidden = diffMode;
+    document.getElementById("diffBar").hidden = !diffMode;
+    this.hideConverted();
+
+    if (!diffMode) {
+      this.diff = null;
+      this.compareEditor.setDiagnostics([]);
+      this.renderer.hideDiffSummary();
+    }
+    if (this.currentData !== undefined) this.visualize();
+  }
+
+  compare(input, format) {
+    const compareInput = document.getElementById("compareInput").value;
+    if (!compareInput.trim()) {
+      throw new ToonParseError("Please enter the data to compare against.");
+    }
+
+    const before = this.importer.import(input, format, { recover: true });
+    const after = this.importer.import(compareInput, format, {
+      recover: true,
+    });
+
+    this.currentData = before.data;
+    this.currentToon = before.toon;
+    this.currentStats = before.stats;
+    this.sourceMap = null;
+    this.queryResult = null;
+    this.viewData = null;
+    this.renderer.violations = new Map();
+    document.getElementById("schemaContainer").innerHTML = "";
+    this.diff = new ToonDiff({
+      key: document.getElementById("diffKey").value,
+    }).compare(before.data, after.data);
+
+    this.renderDiff();
+    this.renderTokenStats();
+    document.getElementById("outputPanel").style.display = "block";
+
+    const diagnostics = [
+      ...before.diagnostics,
+      ...after.diagnostics.map((diagnostic) => ({
+        ...diagnostic,
+        line: null,
+        column: null,
+        message:
+          diagnostic.line === null
+            ? `After: ${diagnostic.message}`
+            : `After, line ${diagnostic.line}: ${diagnostic.message}`,
+      })),
+    ];
+    this.editor.setDiagnostics(before.diagnostics);
+    this.compareEditor.setDiagnostics(after.diagnostics);
+    if (diagnostics.length > 0) this.showError(diagnostics, true);
+  }
+
+  renderDiff() {
+    if (!this.diff) return;
+
+    this.renderer.renderDiff(
+      this.diff,
+      document.getElementById("toonContainer"),
+      { changesOnly: document.getElementById("diffChangesOnly").checked },
+    );
+    this.renderer.renderDiffSummary(this.diff);
+  }
+
+  shouldParseInWorker(input) {
+    return (
+      input.length >= this.workerThreshold && this.parseWorker.isAvailable()
+    );
+  }
+
+  async parseInWorker(input, format) {
+    this.showProgress(0, 0);
+
+    try {
+      return await this.parseWorker.parse(
+        input,
+        format,
+        this.parser.options,
+        (processed, total) => this.showProgress(processed, total),
+      );
+    } catch (error) {
+      if (error.code !== "worker-unavailable") throw error;
+      return this.importer.import(input, format, { recover: true });
+    } finally {
+      if (!this.parseWorker.isBusy()) this.hideProgress();
+    }
+  }
+
+  showProgress(processed, total) {
+    const bar = document.getElementById("parseProgressBar");
+    bar.max = total || 1;
+    bar.value = processed;
+
+    document.getElementById("parseProgressText").textContent = total
+      ? `Parsing ${processed.toLocaleString()} / ${total.toLocaleString()} lines`
+      : "Parsing…";
+    document.getElementById("parseProgress").hidden = false;
+  }
 
-tags[4]: js,css,"react, vue",html
+  hideProgress() {
+    document.getElementById("parseProgress").hidden = true;
+  }
 
-location:
-  city: "New York"
-  zip: 10001
-`.trim();
+  highlightSource(target, scrollInput = false) {
+    const node = target.closest("[data-path]");
+    if (!this.sourceMap || !node || this.queryResult) return;
 
-    this.initializeEventListeners();
+    let path = node.dataset.path;
+    let range = this.sourceMap.get(path);
+    while (!range && path) {
+      path = ToonSourceMap.parentPath(path);
+      range = this.sourceMap.get(path);
+    }
+    if (!range) return;
+
+    this.editor.highlightLines(range.startLine, range.endLine);
+    if (scrollInput) this.editor.scrollToLine(range.startLine);
   }
 
-  initializeEventListeners() {
-    document
-      .getElementById("visualizeBtn")
-      .addEventListener("click", () => this.visualize());
-    document
-      .getElementById("clearBtn")
-      .addEventListener("click", () => this.clear());
-    document
-      .getElementById("exampleBtn")
-      .addEventListener("click", () => this.loadExample());
+  renderView({ live = false } = {}) {
+    if (this.currentData === undefined) return;
+
+    const container = document.getElementById("toonContainer");
+    this.viewData = this.applyQuery();
+    this.validateSchema();
+    const stats = this.queryResult
+      ? this.parser.computeStats(this.viewData)
+      : this.currentStats;
+    this.renderer.editable = this.canEdit();
+    this.updateEditBar();
+
+    if (live) {
+      this.renderer.patch(this.viewData, container, stats);
+    } else {
+      this.renderer.render(this.viewData, container, stats);
+    }
+    this.search();
+  }
+
+  isEditing() {
+    return document.getElementById("editMode").checked;
+  }
+
+  canEdit() {
+    return (
+      this.isEditing() &&
+      this.editable &&
+      !this.queryResult &&
+      !this.isDiffMode()
+    );
+  }
+
+  updateEditBar() {
+    const status = document.getElementById("editStatus");
+    const editing = this.canEdit();
+
+    if (!this.isEditing() || editing) {
+      status.textContent = "";
+    } else if (this.isDiffMode()) {
+      status.textContent = "Not available in compare mode";
+    } else if (this.queryResult) {
+      status.textContent = "Clear the query to edit";
+    } else {
+      status.textContent = "Fix input errors to edit";
+    }
+
     document
-      .getElementById("expandAllBtn")
-      .addEventListener("click", () => this.toggleAll());
+      .getElementById("toonContainer")
+      .classList.toggle("editing", editing);
+    document.getElementById("addKeyBtn").disabled = !editing;
+    document.getElementById("undoEditBtn").disabled =
+      this.undoStack.length === 0;
+    document.getElementById("redoEditBtn").disabled =
+      this.redoStack.length === 0;
+  }
+
+  startInlineEdit(target) {
+    if (!this.canEdit() || target.closest(".inline-editor")) return;
+
+    const cell = target.closest("td[data-column]");
+    if (cell) {
+      const rowPath =
+        cell.dataset.path ?? cell.closest("tr[data-path]")?.dataset.path;
+      if (rowPath === undefined) return;
+      this.openValueEditor(
+        cell,
+        ToonSourceMap.childPath(rowPath, cell.dataset.column),
+      );
+      return;
+    }
+
+    const node = target.closest("[data-path]");
+    if (!node) return;
+
+    const value = target.closest(".field-value");
+    if (value && node.classList.contains("field-item")) {
+      this.openValueEditor(value, node.dataset.path);
+      return;
+    }
+
+    const key = target.closest(".field-key, .section-name");
+    const parent = ToonPatcher.getValue(
+      this.currentData,
+      ToonSourceMap.parentPath(node.dataset.path),
+    );
+    if (key && !Array.isArray(parent)) {
+      this.openKeyEditor(key, node.dataset.path);
+    }
+  }
+
+  openValueEditor(element, path) {
+    const value = ToonPatcher.getValue(this.currentData, path);
+    if (value !== null && typeof value === "object") return;
+
+    const type = document.createElement("select");
+    ["string", "number", "boolean", "null"].forEach((option) => {
+      type.add(new Option(option, option));
+    });
+    type.value = value === null ? "null" : typeof value;
+
+    const input = document.createElement("input");
+    const syncInput = () => {
+      input.hidden = type.value === "null";
+      input.type =
+        type.value === "boolean"
+          ? "checkbox"
+          : type.value === "number"
+            ? "number"
+            : "text";
+    };
+    syncInput();
+    if (typeof value === "boolean") input.checked = value;
+    else if (value !== null) input.value = String(value);
+
+    type.addEventListener("change", () => {
+      syncInput();
+      if (type.value === "boolean") input.checked = input.value === "true";
+      input.focus();
+    });
+
+    this.openInlineEditor(element, [type, input], () => {
+      if (type.value === "null") return { value: null };
+      if (type.value === "boolean") return { value: input.checked };
+      if (type.value === "string") return { value: input.value };
+
+      const number = Number(input.value);
+      if (input.value.trim() === "" || !Number.isFinite(number)) return null;
+      return { value: number };
+    }).then((result) => {
+      if (result && !Object.is(result.value, value)) {
+        this.edit("set", path, result.value);
+      }
+    });
+  }
+
+  openKeyEditor(element, path) {
+    const key = ToonPatcher.segments(path).pop();
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = key;
+
+    this.openInlineEditor(element, [input], () =>
+      input.value ? { value: input.value } : null,
+    ).then((result) => {
+      if (result && result.value !== key) {
+        this.edit("rename", path, result.value);
+      }
+    });
+  }
+
+  openInlineEditor(element, controls, read) {
+    const original = Array.from(element.childNodes);
+    const form = document.createElement("span");
+    form.className = "inline-editor";
+    form.append(...controls);
+    element.replaceChildren(form);
+
+    const focusable = controls.find((control) => !control.hidden);
+    focusable.focus();
+    focusable.select?.();
+
+    return new Promise((resolve) => {
+      const close = (result) => {
+        form.removeEventListener("focusout", onFocusOut);
+        element.replaceChildren(...original);
+        resolve(result);
+      };
+      const commit = () => {
+        const result = read();
+        if (result) {
+          close(result);
+        } else {
+          controls.forEach((control) => control.classList.add("invalid"));
+        }
+      };
+      const onFocusOut = (event) => {
+        if (form.contains(event.relatedTarget)) return;
+        const result = read();
+        close(result);
+      };
+
+      form.addEventListener("keydown", (event) => {
+        event.stopPropagation();
+        if (event.key === "Enter") {
+          event.preventDefault();
+          commit();
+        } else if (event.key === "Escape") {
+          event.preventDefault();
+          close(null);
+        }
+      });
+      form.addEventListener("click", (event) => event.stopPropagation());
+      form.addEventListener("dblclick", (event) => event.stopPropagation());
+      form.addEventListener("focusout", onFocusOut);
+    });
   }
 
-  visualize() {
+  edit(action, path, value) {
+    if (!this.canEdit()) return;
+
     const input = document.getElementById("toonInput").value;
-    this.clearError();
+    const data = structuredClone(this.currentData);
+    const patcher = new ToonPatcher({ indentSize: this.editor.indentSize });
+    const parentPath = ToonSourceMap.parentPath(path);
+    const parent = ToonPatcher.getValue(data, parentPath);
+    const key = ToonPatcher.segments(path).pop();
+    let focusPath = null;
+    let text;
+
+    if (action === "set") {
+      parent[key] = value;
+      text = patcher.replaceValue(input, this.sourceMap, data, path);
+    } else if (action === "rename") {
+      if (Object.hasOwn(parent, value)) {
+        document.getElementById("editStatus").textContent =
+          `Key "${value}" already exists`;
+        return;
+      }
 
-    if (!input.trim()) {
-      this.showError("Please enter TOON data.");
+      const entries = Object.entries(parent);
+      entries.forEach(([entryKey]) => delete parent[entryKey]);
+      entries.forEach(([entryKey, entryValue]) => {
+        parent[entryKey === key ? value : entryKey] = entryValue;
+      });
+      text = patcher.renameKey(
+        input,
+        this.sourceMap,
+        data,
+        path,
+        ToonSourceMap.childPath(parentPath, value),
+      );
+    } else if (action === "add-key") {
+      const target = ToonPatcher.getValue(data, path);
+      let name = "key";
+      for (let i = 2; Object.hasOwn(target, name); i++) name = `key${i}`;
+
+      target[name] = null;
+      focusPath = ToonSourceMap.childPath(path, name);
+      text = patcher.addKey(input, this.sourceMap, data, path, name);
+    } else if (action === "add-row") {
+      const rows = ToonPatcher.getValue(data, path);
+      const columns = new Set(rows.flatMap((row) => Object.keys(row)));
+      rows.push(
+        Object.fromEntries([...columns].map((column) => [column, null])),
+      );
+      focusPath = ToonSourceMap.childPath(path, rows.length - 1);
+      text = patcher.appendRow(input, this.sourceMap, data, path);
+    } else if (action === "remove") {
+      if (Array.isArray(parent)) {
+        parent.splice(Number(key), 1);
+        text = patcher.removeItem(
+          input,
+          this.sourceMap,
+          data,
+          parentPath,
+          Number(key),
+        );
+      } else {
+        delete parent[key];
+        text = patcher.replaceValue(input, this.sourceMap, data, path);
+      }
+    } else {
       return;
     }
 
-    try {
-      const { data, stats } = this.parser.parse(input);
-      this.renderer.render(
+    if (!this.isRoundTrip(text, data)) {
+      text = new ToonEncoder({ indentSize: this.editor.indentSize }).encode(
         data,
+      );
+    }
+
+    this.undoStack.push(input);
+    if (this.undoStack.length > this.historyLimit) this.undoStack.shift();
+    this.redoStack = [];
+    this.applyEdit(text).then(() => {
+      if (!focusPath) return;
+
+      const node = this.renderer.revealPath(
         document.getElementById("toonContainer"),
-        stats,
+        focusPath,
       );
-      document.getElementById("outputPanel").style.display = "block";
+      const keyElement = node?.querySelector(".field-key");
+      if (action === "add-key" && keyElement) {
+        this.openKeyEditor(keyElement, focusPath);
+      }
+    });
+  }
+
+  isRoundTrip(text, data) {
+    try {
+      const result = this.parser.parse(text);
+      return JSON.stringify(result.data) === JSON.stringify(data);
+    } catch {
+      return false;
+    }
+  }
+
+  applyEdit(text) {
+    this.editor.setValue(text);
+    return this.visualize({ live: true });
+  }
+
+  undo() {
+    if (this.undoStack.length === 0) return;
+
+    this.redoStack.push(document.getElementById("toonInput").value);
+    this.applyEdit(this.undoStack.pop());
+  }
+
+  redo() {
+    if (this.redoStack.length === 0) return;
+
+    this.undoStack.push(document.getElementById("toonInput").value);
+    this.applyEdit(this.redoStack.pop());
+  }
+
+  applySchema() {
+    const text = document.getElementById("schemaInput").value.trim();
+    const status = document.getElementById("schemaStatus");
+    this.schema = null;
+    status.textContent = "";
+    status.classList.remove("invalid");
+
+    if (text) {
+      try {
+        this.schema = JSON.parse(text);
+      } catch (error) {
+        status.textContent = `Invalid JSON: ${error.message}`;
+        status.classList.add("invalid");
+      }
+    }
+
+    if (this.currentData !== undefined && !this.isDiffMode()) this.renderView();
+  }
+
+  validateSchema() {
+    this.violations = [];
+    const status = document.getElementById("schemaStatus");
+
+    if (this.schema !== null && this.currentData !== undefined) {
+      try {
+        this.violations = this.schemaValidator.validate(
+          this.currentData,
+          this.schema,
+        );
+      } catch (error) {
+        status.textContent = error.message;
+        status.classList.add("invalid");
+      }
+    }
+
+    const violations = new Map();
+    if (!this.queryResult) {
+      this.violations.forEach(({ path, message }) => {
+        violations.set(path, [...(violations.get(path) ?? []), message]);
+      });
+    }
+    this.renderer.violations = violations;
+    this.renderViolations();
+  }
+
+  renderViolations() {
+    const container = document.getElementById("schemaContainer");
+    container.innerHTML = "";
+    if (this.schema === null || this.currentData === undefined) return;
+
+    if (this.violations.length === 0) {
+      const valid = document.createElement("div");
+      valid.className = "schema-valid";
+      valid.textContent = "✓ Matches the schema";
+      container.appendChild(valid);
+      return;
+    }
+
+    const count = this.violations.length;
+    const { box, list } = this.createErrorBox(
+      "Schema violations",
+      `${count} violation${count !== 1 ? "s" : ""}`,
+    );
+    container.replaceChildren(box);
+
+    this.violations.forEach(({ path, keyword, message }) => {
+      const item = document.createElement("li");
+      item.className = "diagnostic diagnostic-error";
+      item.dataset.path = path;
+      item.title = "Show in tree";
+
+      const location = document.createElement("span");
+      location.className = "diagnostic-location";
+      location.textContent = path || "/";
+
+      const text = document.createElement("span");
+      text.className = "diagnostic-message";
+      text.textContent = message;
+
+      const code = document.createElement("span");
+      code.className = "diagnostic-code";
+      code.textContent = keyword;
+
+      item.append(location, text, code);
+      list.appendChild(item);
+    });
+  }
+
+  revealViolation(path) {
+    if (this.queryResult) return;
+
+    const element = this.renderer.revealPath(
+      document.getElementById("toonContainer"),
+      path,
+    );
+    if (element) this.highlightSource(element, true);
+  }
+
+  loadSchemaFile(input) {
+    const [file] = input.files;
+    if (!file) return;
+
+    file.text().then((text) => {
+      document.getElementById("schemaInput").value = text;
+      document.getElementById("schemaName").value = file.name.replace(
+        /\.json$/i,
+        "",
+      );
+      input.value = "";
+      this.applySchema();
+    });
+  }
+
+  loadSavedSchema(name) {
+    if (!name) return;
+
+    document.getElementById("schemaInput").value =
+      this.schemaStore.get(name) ?? "";
+    document.getElementById("schemaName").value = name;
+    this.applySchema();
+  }
+
+  saveSchema() {
+    const name = document.getElementById("schemaName").value.trim();
+    const status = document.getElementById("schemaStatus");
+    if (!name) {
+      status.textContent = "Enter a name to save the schema";
+      return;
+    }
+
+    try {
+      this.schemaStore.save(name, document.getElementById("schemaInput").value);
+      status.textContent = `Saved "${name}"`;
+    } catch (error) {
+      status.textContent = `Could not save: ${error.message}`;
+    }
+    this.renderSavedSchemas(name);
+  }
+
+  deleteSchema() {
+    const name = document.getElementById("savedSchemas").value;
+    if (!name) return;
+
+    try {
+      this.schemaStore.remove(name);
     } catch (error) {
-      this.showError(error.message);
+      document.getElementById("schemaStatus").textContent =
+        `Could not delete: ${error.message}`;
+    }
+    this.renderSavedSchemas();
+  }
+
+  renderSavedSchemas(selected = "") {
+    const select = document.getElementById("savedSchemas");
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Saved schemas…";
+
+    select.replaceChildren(
+      placeholder,
+      ...this.schemaStore.list().map((name) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        return option;
+      }),
+    );
+    select.value = selected;
+  }
+
+  applyQuery() {
+    const queryInput = document.getElementById("queryInput");
+    const count = document.getElementById("queryCount");
+    const expression = queryInput.value.trim();
+    this.queryResult = null;
+    queryInput.classList.remove("invalid");
+    count.textContent = "";
+
+    if (expression) {
+      try {
+        const query = new ToonQuery(expression);
+        const matches = query.evaluate(this.currentData);
+        const value = query.isSingular()
+          ? (matches[0]?.value ?? null)
+          : matches.map((match) => match.value);
+
+        this.queryResult = { expression, matches, value };
+        count.textContent = `${matches.length} match${matches.length !== 1 ? "es" : ""}`;
+      } catch (error) {
+        queryInput.classList.add("invalid");
+        count.textContent = error.message;
+      }
+    }
+
+    document.getElementById("copyQueryToonBtn").disabled = !this.queryResult;
+    document.getElementById("copyQueryJsonBtn").disabled = !this.queryResult;
+
+    if (!this.queryResult) return this.currentData;
+    if (this.queryResult.matches.length === 0) return {};
+    return { [expression]: this.queryResult.value };
+  }
+
+  copyQueryResult(type, button) {
+    if (!this.queryResult) return;
+
+    const { value } = this.queryResult;
+    this.exporter
+      .copyToClipboard(
+        type === "toon"
+          ? this.exporter.toToon(value)
+          : this.exporter.toJson(value),
+      )
+      .then(() => this.flashButton(button, "Copied!"))
+      .catch(() => this.flashButton(button, "Copy failed"));
+  }
+
+  search({ reveal = false } = {}) {
+    const searchInput = document.getElementById("searchInput");
+    const container = document.getElementById("toonContainer");
+    const search = this.renderer.search;
+
+    this.searchMatches = [];
+    this.searchIndex = -1;
+    container
+      .querySelectorAll(".search-current")
+      .forEach((node) => node.classList.remove("search-current"));
+
+    try {
+      search.configure({
+        query: searchInput.value,
+        scope: document.getElementById("searchScope").value,
+        caseSensitive: document.getElementById("searchCase").checked,
+        regex: document.getElementById("searchRegex").checked,
+      });
+      searchInput.classList.remove("invalid");
+    } catch {
+      search.configure({});
+      searchInput.classList.add("invalid");
+    }
+
+    if (this.viewData !== null) {
+      this.searchMatches = search.find(this.viewData);
     }
+    search.refresh(container);
+
+    if (reveal && this.searchMatches.length > 0) {
+      this.stepSearch(1);
+    } else {
+      this.updateSearchCount();
+    }
+  }
+
+  stepSearch(offset) {
+    const total = this.searchMatches.length;
+    if (total === 0) return;
+
+    this.searchIndex =
+      this.searchIndex === -1
+        ? offset > 0
+          ? 0
+          : total - 1
+        : (this.searchIndex + offset + total) % total;
+
+    const container = document.getElementById("toonContainer");
+    container
+      .querySelectorAll(".search-current")
+      .forEach((node) => node.classList.remove("search-current"));
+
+    const element = this.renderer.revealPath(
+      container,
+      this.searchMatches[this.searchIndex].path,
+    );
+    if (element) {
+      element.classList.add("search-current");
+      this.highlightSource(element, true);
+    }
+    this.updateSearchCount();
+  }
+
+  updateSearchCount() {
+    const total = this.searchMatches.length;
+    const count = document.getElementById("searchCount");
+
+    if (document.getElementById("searchInput").classList.contains("invalid")) {
+      count.textContent = "Invalid pattern";
+    } else if (!this.renderer.search.isActive()) {
+      count.textContent = "";
+    } else if (total === 0) {
+      count.textContent = "No matches";
+    } else {
+      count.textContent = `${this.searchIndex === -1 ? "–" : this.searchIndex + 1} of ${total}`;
+    }
+
+    document.getElementById("searchPrevBtn").disabled = total === 0;
+    document.getElementById("searchNextBtn").disabled = total === 0;
+  }
+
+  revealNodeAtCaret() {
+    if (!this.sourceMap || this.queryResult) return;
+
+    const path = this.sourceMap.findPathAtLine(this.editor.getCaretLine());
+    if (path === null) return;
+
+    this.renderer.revealPath(document.getElementById("toonContainer"), path);
+  }
+
+  toDiagnostic(error) {
+    if (error instanceof ToonParseError) return error.toDiagnostic();
+
+    return {
+      severity: "error",
+      code: null,
+      message: error.message,
+      line: null,
+      column: null,
+      endColumn: null,
+    };
+  }
+
+  renderTokenStats() {
+    clearTimeout(this.tokenTimer);
+    if (this.currentData === undefined) return;
+
+    const { currentToon, currentData } = this;
+    this.tokenTimer = setTimeout(() => {
+      this.renderer.renderTokenStats(
+        this.tokenizer.compareFormats(currentToon, currentData),
+      );
+    }, this.tokenDelay);
+  }
+
+  export(type, button) {
+    if (this.currentData === undefined) return;
+
+    switch (type) {
+      case "copy-json":
+        this.exporter
+          .copyToClipboard(this.exporter.toJson(this.currentData))
+          .then(() => this.flashButton(button, "Copied!"))
+          .catch(() => this.flashButton(button, "Copy failed"));
+        break;
+      case "json":
+        this.exporter.download(
+          "toon-data.json",
+          this.exporter.toJson(this.currentData),
+          "application/json",
+        );
+        break;
+      case "toon":
+        this.exporter.download(
+          "toon-data.toon",
+          this.exporter.toToon(this.currentData),
+        );
+        break;
+      case "html": {
+        const container = document.getElementById("toonContainer");
+        this.renderer.materializeAll(container);
+        this.renderer.setWindowed(false);
+        const snapshot = this.exporter.toHtmlSnapshot(
+          container,
+          Array.from(document.querySelectorAll("style"))
+            .map((style) => style.textContent)
+            .join("\n"),
+        );
+        this.renderer.setWindowed(true);
+        this.exporter.download("toon-snapshot.html", snapshot, "text/html");
+        break;
+      }
+    }
+  }
+
+  flashButton(button, text) {
+    const original = button.textContent;
+    button.textContent = text;
+    setTimeout(() => {
+      button.textContent = original;
+    }, 1500);
+  }
+
+  showConverted(format, toon) {
+    const convertedView = document.getElementById("convertedView");
+
+    if (format === "toon") {
+      this.hideConverted();
+      return;
+    }
+
+    document.getElementById("convertedLabel").textContent =
+      `TOON (converted from ${format.toUpperCase()})`;
+    document.getElementById("convertedToon").value = toon;
+    convertedView.style.display = "flex";
+    document.getElementById("inputGrid").classList.add("has-converted");
+  }
+
+  hideConverted() {
+    document.getElementById("convertedView").style.display = "none";
+    document.getElementById("convertedToon").value = "";
+    document
+      .getElementById("inputGrid")
+      .classList.toggle("has-converted", this.isDiffMode());
   }
 
   clear() {
-    document.getElementById("toonInput").value = "";
+    this.parseWorker.reset();
+    clearTimeout(this.liveTimer);
+    clearTimeout(this.tokenTimer);
+    this.editor.setValue("");
+    this.editor.setDiagnostics([]);
+    this.compareEditor.setValue("");
+    this.compareEditor.setDiagnostics([]);
+    this.diff = null;
+    this.renderer.hideDiffSummary();
     this.clearError();
-    document.getElementById("toonContainer").innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">📄</div>
-                <p>No data to display</p>
-            </div>`;
+    this.hideConverted();
+    this.historyStore.clearDraft();
+    this.violations = [];
+    document.getElementById("schemaContainer").innerHTML = "";
+    this.currentData = undefined;
+    this.currentToon = "";
+    this.currentFormat = null;
+    this.sourceMap = null;
+    this.currentStats = null;
+    this.queryResult = null;
+    this.viewData = null;
+    this.searchMatches = [];
+    this.searchIndex = -1;
+    this.editable = false;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateSearchCount();
+    this.editor.clearLineHighlight();
+    this.renderer.renderEmptyState(document.getElementById("toonContainer"));
     document.getElementById("outputPanel").style.display = "none";
     document.getElementById("statsContainer").style.display = "none";
+    document.getElementById("tokenContainer").style.display = "none";
+    this.renderTabStats();
   }
 
   loadExample() {
-    document.getElementById("toonInput").value = this.exampleTOON;
+    this.editor.setValue(this.exampleTOON);
+    document.getElementById("inputFormat").value = "auto";
     this.visualize();
   }
 
@@ -922,14 +6031,83 @@ location:
     this.renderer.toggleAllSections(shouldExpand);
   }
 
-  showError(message) {
+  showError(diagnostics, keepOutput = false) {
     const errorContainer = document.getElementById("errorContainer");
-    errorContainer.innerHTML = `
-            <div class="error">
-                <div class="error-title">Parse Error</div>
-                <div>${message}</div>
-            </div>`;
+    const errorCount = diagnostics.filter(
+      (diagnostic) => diagnostic.severity === "error",
+    ).length;
+    const warningCount = diagnostics.length - errorCount;
+    const summary = [
+      errorCount && `${errorCount} error${errorCount !== 1 ? "s" : ""}`,
+      warningCount && `${warningCount} warning${warningCount !== 1 ? "s" : ""}`,
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    const { box, list } = this.createErrorBox(
+      errorCount > 0 ? "Parse Error" : "Warnings",
+      summary,
+    );
+    box.classList.toggle("warning", errorCount === 0);
+    errorContainer.replaceChildren(box);
+
+    diagnostics.forEach((diagnostic) => {
+      list.appendChild(this.createDiagnosticItem(diagnostic));
+    });
+
+    if (keepOutput) return;
+
     document.getElementById("outputPanel").style.display = "none";
+    this.hideConverted();
+  }
+
+  createErrorBox(title, summary) {
+    const box = document.createElement("div");
+    box.className = "error";
+
+    const heading = document.createElement("div");
+    heading.className = "error-title";
+    const badge = document.createElement("span");
+    badge.className = "badge";
+    badge.textContent = summary;
+    heading.append(`${title} `, badge);
+
+    const list = document.createElement("ul");
+    list.className = "diagnostic-list";
+
+    box.append(heading, list);
+    return { box, list };
+  }
+
+  createDiagnosticItem({ severity, code, message, line, column }) {
+    const item = document.createElement("li");
+    item.className = `diagnostic diagnostic-${severity}`;
+
+    if (line !== null) {
+      item.dataset.line = line;
+      if (column) item.dataset.column = column;
+      item.title = "Go to line";
+    }
+
+    const location = document.createElement("span");
+    location.className = "diagnostic-location";
+    location.textContent =
+      line === null ? severity : `Line ${line}${column ? `:${column}` : ""}`;
+
+    const text = document.createElement("span");
+    text.className = "diagnostic-message";
+    text.textContent = message;
+
+    item.append(location, text);
+
+    if (code) {
+      const codeBadge = document.createElement("span");
+      codeBadge.className = "diagnostic-code";
+      codeBadge.textContent = code;
+      item.appendChild(codeBadge);
+    }
+
+    return item;
   }
 
   clearError() {